@@ -0,0 +1,577 @@
+import {
+  STATE_PATH,
+  WORK_DIR,
+  createInitialState,
+  loadState,
+  loadWorkShard,
+  saveState,
+  saveTopLevelState,
+  saveWorkShard,
+  loadRateLimiterState,
+  saveRateLimiterState,
+  createDailySeriesState,
+  createMaintainersState,
+  pendingFetchJobs,
+} from "./state.js";
+import {
+  claimLease,
+  isLeaseClaimable,
+  needsLeases,
+  releaseLease,
+  renewLease,
+} from "./leases.js";
+import { createRequestTallies, fetchQueuedCounts } from "./fetchCounts.js";
+import { deleteJournal, replayJournal } from "./journal.js";
+import { openCheckpointingJournal } from "./checkpoints.js";
+import {
+  COUNTS_PATH,
+  computeRanking,
+  consolidate,
+  countsFilePath,
+  fetchPreviousCounts,
+  mergeCountsFiles,
+} from "./consolidate.js";
+import {
+  PREVIEW_DIST_TAG,
+  createPreviewState,
+  isPreviewReady,
+  publishPreview,
+} from "./preview.js";
+import {
+  fingerprintCounts,
+  formatValidationReport,
+  validateRelease,
+} from "./validate.js";
+import { EXPORTS_DIR, uploadReleaseAssets, writeExports } from "./exports.js";
+import { loadPackageNames } from "./nameSources.js";
+import {
+  OUTCOMES,
+  createProgressReport,
+  emitProgressReport,
+} from "./progress.js";
+
+/**
+ * Advances the build of the given version by one step, as described below.
+ * Several runners may be doing this at once; see leases.js for how they
+ * coordinate. Every side effect goes through the dependencies passed in:
+ * * fs - the node:fs module, or something with the same interface
+ * * git - as returned by createGit in git.js, already switched to the build
+ *   branch
+ * * fetch - the global fetch function, or something with the same interface
+ *   (used for the API, the registry, and notifications; see progress.js)
+ * * execFileAsync - promisified child_process.execFile, for running npm
+ * * config - as returned by loadConfig in config.js
+ * Returns the exit code the process should exit with.
+ */
+export async function advanceBuild({
+  version,
+  config,
+  fs,
+  git,
+  fetch,
+  execFileAsync,
+}) {
+  const primaryTimeRange = config.timeRanges[0];
+  let state = loadState(fs, primaryTimeRange);
+
+  // SCENARIO 1: We don't have a build in progress.
+  // Initiate the state file, update the
+  // version number in package.json, commit, and exit. Real work will begin on
+  // the next call to the script.
+  if (!state) {
+    console.log(STATE_PATH, "doesn't yet exist. Creating it...");
+
+    // (We'll update the version in package.json below.)
+    const pkgJson = JSON.parse(fs.readFileSync("package.json").toString());
+
+    // Get the list of packages to fetch counts for, and a record of where it
+    // came from (see nameSources.js):
+    const { packageNames, nameSources } = await loadPackageNames({
+      sources: config.nameSources,
+      fs,
+      fetch,
+      execFileAsync,
+    });
+
+    // Fetching the previous release's most downloaded packages first (see
+    // config.prioritizeByPreviousRelease) means the counts most people want
+    // are available early, e.g. to publish as a preview (see preview.js).
+    const previousCounts = config.prioritizeByPreviousRelease
+      ? await fetchPreviousCounts({
+          fs,
+          execFileAsync,
+          packageName: pkgJson.name,
+        })
+      : null;
+    const initialState = createInitialState(
+      packageNames,
+      config.timeRanges,
+      config.workShards,
+      previousCounts,
+    );
+    initialState.nameSources = nameSources;
+    // (Without a previous release, there's nothing for a preview to wait for.)
+    if (config.previewTopN > 0 && previousCounts) {
+      initialState.preview = createPreviewState(
+        previousCounts,
+        config.previewTopN,
+      );
+    }
+    saveState(fs, initialState);
+
+    // In practice, this way of updating package.json preserves key order and
+    // formatting, so it's okay (even though this pattern for updating a JSON
+    // file is not guaranteed to always preserve those things in general):
+    pkgJson.version = version;
+    fs.writeFileSync("package.json", JSON.stringify(pkgJson, null, 2));
+
+    await git.add(STATE_PATH, WORK_DIR, "package.json");
+    if (
+      await git.commitAndPush(
+        `Initiate state file and update package.json for build ${version}`,
+      )
+    ) {
+      console.log("Committed and pushed new state file; exiting");
+    } else {
+      console.log("Another runner initiated the build first; exiting");
+    }
+    return 0;
+  }
+
+  // If we haven't already returned, we must have a state file committed
+  // already that will tell us how far the build for this release has gotten,
+  // and so what we need to do next.
+  const useLeases = needsLeases(state, config);
+
+  // SCENARIO 5: We've already completed the entire build process and
+  //             published a new version to npm.
+  if (state.published) {
+    console.log(version, "was already published to npm. Nothing left to do!");
+    return 0;
+  }
+
+  // SCENARIO 4: We have completed the build process but not yet published it
+  //             to npm; it's time to publish.
+  //             First, though, we check that the counts look sane (see
+  //             validate.js), and refuse to publish them if they don't. We
+  //             also write any other formats we export the counts in (see
+  //             exports.js) at this point.
+  if (fs.existsSync(COUNTS_PATH)) {
+    const pkgJson = JSON.parse(fs.readFileSync("package.json").toString());
+    const countsJson = fs.readFileSync(COUNTS_PATH).toString();
+    if (config.skipValidation) {
+      console.log("Skipping validation of", version, "as configured");
+    } else if (
+      state.failedValidation?.counts == fingerprintCounts(countsJson)
+    ) {
+      // Runners would otherwise go on validating the same counts, and
+      // committing the same failure, every time they run until a maintainer
+      // intervenes.
+      console.error(
+        `Not publishing ${version}, since it already failed validation ` +
+          `(${state.failedValidation.checks.join(", ")}) and its counts ` +
+          "haven't changed since. If it's fine anyway, rerun the build with " +
+          "--skip-validation true.",
+      );
+      return 1;
+    } else {
+      const results = validateRelease({
+        fs,
+        state,
+        counts: JSON.parse(countsJson),
+        previousCounts: await fetchPreviousCounts({
+          fs,
+          execFileAsync,
+          packageName: pkgJson.name,
+        }),
+      });
+      console.log(formatValidationReport(results));
+      const failedChecks = results.filter(({ passed }) => !passed);
+      if (failedChecks.length > 0) {
+        console.error(
+          `Not publishing ${version}, since it failed validation. If it's ` +
+            "fine anyway, rerun the build with --skip-validation true.",
+        );
+        state.failedValidation = {
+          counts: fingerprintCounts(countsJson),
+          checks: failedChecks.map(({ name }) => name),
+        };
+        saveTopLevelState(fs, state);
+        const progressPath = await emitProgressReport({
+          fs,
+          fetch,
+          config,
+          report: createProgressReport({
+            fs,
+            state,
+            config,
+            version,
+            run: {
+              description: `validating ${version}`,
+              outcome: OUTCOMES.FAILED_VALIDATION,
+              error: `it failed validation (${failedChecks.map(({ name }) => name).join(", ")})`,
+            },
+          }),
+        });
+        await git.add(STATE_PATH, progressPath);
+        await git.commitAndPush(`Version ${version} failed validation`);
+        return 1;
+      }
+    }
+    if (useLeases && !(await claimLease({ fs, git, id: "publish", config }))) {
+      console.log("Another runner is publishing", version, "- exiting");
+      return 0;
+    }
+    await reportingFailure(
+      { fs, git, fetch, config, state, version },
+      `publishing ${version}`,
+      async () => {
+        const primaryCounts = mergeCountsFiles(
+          fs,
+          state.ranges[primaryTimeRange],
+        );
+        const exportPaths = await writeExports({
+          fs,
+          counts: primaryCounts,
+          ranking: computeRanking(primaryCounts),
+          formats: config.exportFormats,
+          outDir: config.exportDestination == "release" ? EXPORTS_DIR : ".",
+        });
+        if (exportPaths.length > 0 && config.exportDestination == "release") {
+          await uploadReleaseAssets({
+            execFileAsync,
+            version,
+            paths: exportPaths,
+          });
+          console.log("Attached", exportPaths.join(", "), "to GitHub release");
+        }
+        await execFileAsync("npm", ["publish"]);
+        // Don't leave the preview tag pointing at a preview that's now out of
+        // date:
+        if (state.preview?.published) {
+          await execFileAsync("npm", [
+            "dist-tag",
+            "add",
+            `${pkgJson.name}@${version}`,
+            PREVIEW_DIST_TAG,
+          ]);
+        }
+      },
+    );
+    state.published = true;
+    delete state.failedValidation;
+    saveTopLevelState(fs, state);
+    const progressPath = await emitProgressReport({
+      fs,
+      fetch,
+      config,
+      report: createProgressReport({
+        fs,
+        state,
+        config,
+        version,
+        run: {
+          description: `publishing ${version}`,
+          outcome: OUTCOMES.PUBLISHED,
+        },
+      }),
+    });
+    await git.add(STATE_PATH, progressPath);
+    await git.commitAndPush(`Version ${version} is now published to npm`);
+    console.log("Published version", version, "to npm successfully. Hooray!");
+    return 0;
+  }
+
+  // Once we've fetched the download counts for every time range, we know which
+  // packages are the most downloaded, and so can queue up fetching their daily
+  // download counts, and maybe their maintainers (both of which happen in
+  // Scenario 2 below, like everything else).
+  if (!state.dailySeries && pendingFetchJobs(state).length == 0) {
+    const primaryCounts = mergeCountsFiles(fs, state.ranges[primaryTimeRange]);
+    const ranking = computeRanking(primaryCounts);
+    const topPackages = ranking.slice(0, config.dailySeriesTopN);
+    console.log("Queueing daily counts for", topPackages.length, "packages");
+    state.dailySeries = createDailySeriesState(topPackages, config.workShards);
+    if (config.maintainersTopN > 0) {
+      const packages = ranking.slice(0, config.maintainersTopN);
+      console.log("Queueing maintainers for", packages.length, "packages");
+      state.maintainers = createMaintainersState(packages, config.workShards);
+    }
+    saveState(fs, state);
+    await git.add(STATE_PATH, WORK_DIR);
+    if (
+      !(await git.commitAndPush(
+        `Queue daily download counts for ${topPackages.length} packages`,
+      ))
+    ) {
+      console.log("Another runner queued them first");
+    }
+    state = loadState(fs, primaryTimeRange);
+  }
+
+  // Once we've got counts for the packages a preview release is waiting for
+  // (see preview.js), we publish one - unless we've already finished fetching
+  // everything, in which case the real release is only a couple of runs away.
+  if (
+    state.preview &&
+    !state.preview.published &&
+    pendingFetchJobs(state).length > 0 &&
+    isPreviewReady(state)
+  ) {
+    if (!useLeases || (await claimLease({ fs, git, id: "preview", config }))) {
+      state = loadState(fs, primaryTimeRange);
+      const pkgJson = JSON.parse(fs.readFileSync("package.json").toString());
+      const previewVersion = await reportingFailure(
+        { fs, git, fetch, config, state, version },
+        `publishing a preview of ${version}`,
+        () => publishPreview({ fs, state, version, pkgJson, execFileAsync }),
+      );
+      state.preview.published = true;
+      saveTopLevelState(fs, state);
+      await git.add(STATE_PATH);
+      await git.commitAndPush(`Version ${previewVersion} is now published`);
+      console.log("Published preview version", previewVersion, "to npm");
+      return 0;
+    }
+    // Otherwise, another runner is publishing it, so we get on with fetching.
+    state = loadState(fs, primaryTimeRange);
+  }
+
+  // Scenario 3: We've fetched download counts for every package (or given up
+  //             on them) in every time range, and the daily counts for the
+  //             top packages, but haven't consolidated them into the files we
+  //             publish to npm. So we do that and commit it.
+  if (pendingFetchJobs(state).length == 0) {
+    if (
+      useLeases &&
+      !(await claimLease({ fs, git, id: "consolidate", config }))
+    ) {
+      console.log("Another runner is writing", COUNTS_PATH, "- exiting");
+      return 0;
+    }
+    const pkgJson = JSON.parse(fs.readFileSync("package.json").toString());
+    const writtenPaths = await reportingFailure(
+      { fs, git, fetch, config, state, version },
+      `writing ${COUNTS_PATH} for ${version}`,
+      () =>
+        consolidate({
+          fs,
+          state,
+          version,
+          packageName: pkgJson.name,
+          execFileAsync,
+        }),
+    );
+    await git.add(...writtenPaths);
+    await git.commitAndPush(`Wrote ${COUNTS_PATH} and derived files`);
+    console.log(`${COUNTS_PATH} created. Next run should publish it to npm.`);
+    return 0;
+  }
+
+  // Scenario 2: We still need to hit the npm API to fetch download counts for
+  //             some packages. We finish each time range before moving on to
+  //             the next, and then do the daily counts (and maintainers).
+  //             Within each of those,
+  //             first we work through the queues of unscoped batches and
+  //             single packages. Then, once those are empty, we make a
+  //             last-ditch attempt to recover counts for the packages that got
+  //             403s along the way (see recoverBlockedPackage).
+  //             Each run works on a single work shard, whose lease it must
+  //             claim first (unless it's the only runner).
+  const workShardId = useLeases
+    ? await claimWorkShard({ fs, git, state, config })
+    : pendingFetchJobs(state)[0].workShard.id;
+  if (!workShardId) {
+    console.log("All the remaining work is leased to other runners; exiting");
+    return 0;
+  }
+  // (Another runner may have worked on the shard between us loading the state
+  // and claiming the lease, so we need to reload it - and it's even possible
+  // that they finished it.)
+  state = loadState(fs, primaryTimeRange);
+  const job = pendingFetchJobs(state).find(
+    ({ workShard }) => workShard.id == workShardId,
+  );
+  if (!job) {
+    await git.add(releaseLease(fs, workShardId));
+    await git.commitAndPush(`Release lease on finished ${workShardId}`);
+    console.log("Another runner finished", workShardId, "first; exiting");
+    return 0;
+  }
+  const { timeRange, endpoint, description } = job;
+  let { workShard } = job;
+  console.log("Fetching", description, "for work shard", workShardId);
+
+  // Object in which we'll store the package counts we fetched from the API on
+  // this run of the script. We'll commit these to an intermediate counts file
+  // at the end of the script run - along with anything a previous run that
+  // crashed while working on this shard got done, if it left a journal
+  // behind (see journal.js) - except for any we've already saved in a
+  // checkpoint along the way (see checkpoints.js).
+  let counts = {};
+  const nRecovered = replayJournal(fs, workShard, counts);
+  if (nRecovered > 0) {
+    console.log("Recovered", nRecovered, "requests' work from the journal");
+  }
+  const tallies = createRequestTallies();
+  const journal = openCheckpointingJournal({
+    fs,
+    git,
+    workShard,
+    counts,
+    every: config.checkpointEvery,
+    renewLease: useLeases ? () => renewLease(fs, workShardId, config) : null,
+  });
+  let intervalMs = null;
+  let fetchError = null;
+  try {
+    let metrics;
+    ({ intervalMs, metrics } = await fetchQueuedCounts({
+      state: workShard,
+      timeRange,
+      endpoint,
+      counts,
+      config,
+      fetch,
+      journal,
+      tallies,
+      intervalMs: loadRateLimiterState(fs, config.runnerId)?.intervalMs,
+      signal: journal.signal,
+    }));
+    console.log("Rate limiting figures for this run:", metrics);
+  } catch (e) {
+    fetchError = e;
+  }
+  await journal.settle();
+  if (journal.lostLease) {
+    // (See checkpoints.js. The working tree now holds the other runner's work
+    // on the shard, so there's nothing of ours left that we could save.)
+    deleteJournal(fs, workShardId);
+    console.error("Lost our lease on", workShardId, "- discarded our work");
+    if (fetchError) {
+      throw fetchError;
+    }
+    return 0;
+  }
+  if (fetchError) {
+    // We still save the work we got done before things went wrong. But the
+    // shard's queues in memory are missing whatever was in flight at the
+    // time, so we rebuild its state from the journal instead.
+    console.error("Fetching failed; saving what we got done first");
+    workShard = loadWorkShard(fs, workShardId);
+    counts = {};
+    replayJournal(fs, workShard, counts);
+  }
+
+  const countsPath = countsFilePath(workShard, workShard.countsFilesSoFar);
+  fs.writeFileSync(countsPath, JSON.stringify(counts));
+  workShard.countsFilesSoFar++;
+  saveWorkShard(fs, workShard);
+  deleteJournal(fs, workShardId);
+
+  // (Reloaded, since workShard may no longer be the object in state.)
+  state = loadState(fs, primaryTimeRange);
+  const progressPath = await emitProgressReport({
+    fs,
+    fetch,
+    config,
+    report: createProgressReport({
+      fs,
+      state,
+      config,
+      version,
+      run: {
+        description: `fetching ${description} for work shard ${workShardId}`,
+        outcome: fetchError ? OUTCOMES.FAILED : OUTCOMES.FETCHED,
+        error: fetchError,
+        tallies,
+      },
+    }),
+  });
+
+  await git.add(
+    countsPath,
+    STATE_PATH,
+    WORK_DIR,
+    ...(intervalMs == null
+      ? []
+      : [saveRateLimiterState(fs, config.runnerId, { intervalMs })]),
+    progressPath,
+    ...(useLeases ? [releaseLease(fs, workShardId)] : []),
+  );
+  if (
+    await git.commitAndPush(
+      `Fetched ${description} for some packages in ${workShardId}`,
+    )
+  ) {
+    console.log("Committed and pushed latest counts file");
+  } else {
+    // This should only happen if we took so long that our lease expired and
+    // another runner claimed the shard (or if we're not using leases, but
+    // another runner is working on the build anyway).
+    console.error("Lost our lease on", workShardId, "- discarded our work");
+  }
+  if (fetchError) {
+    throw fetchError;
+  }
+  return 0;
+}
+
+/**
+ * Runs one of the steps of the build that happen once (as described by
+ * `description`), returning whatever it returns. If it throws, we write a
+ * progress report saying so, which gets the failure noticed (see
+ * progress.js), and commit that before rethrowing.
+ */
+async function reportingFailure(
+  { fs, git, fetch, config, state, version },
+  description,
+  step,
+) {
+  try {
+    return await step();
+  } catch (e) {
+    console.error(`Failed ${description}; reporting that first`);
+    // (A failure to report the failure mustn't hide the failure itself.)
+    try {
+      const progressPath = await emitProgressReport({
+        fs,
+        fetch,
+        config,
+        report: createProgressReport({
+          fs,
+          state,
+          config,
+          version,
+          run: { description, outcome: OUTCOMES.FAILED_STEP, error: e },
+        }),
+      });
+      await git.add(progressPath);
+      await git.commitAndPush(`Failed ${description}`);
+    } catch (reportError) {
+      console.error("Failed to report the failure:", reportError);
+    }
+    throw e;
+  }
+}
+
+/**
+ * Claims the lease on the first work shard that has work left to do and that
+ * no other runner is working on, returning its ID, or null if there isn't
+ * one.
+ */
+async function claimWorkShard({ fs, git, state, config }) {
+  for (;;) {
+    const job = pendingFetchJobs(state).find(({ workShard }) =>
+      isLeaseClaimable(fs, workShard.id, config.runnerId),
+    );
+    if (!job) {
+      return null;
+    }
+    if (await claimLease({ fs, git, id: job.workShard.id, config })) {
+      return job.workShard.id;
+    }
+    console.log("Another runner claimed", job.workShard.id, "first");
+    state = loadState(fs, config.timeRanges[0]);
+  }
+}
@@ -0,0 +1,132 @@
+import { loadWorkShard, saveWorkShard, workShardPath } from "./state.js";
+import { countsFilePath } from "./consolidate.js";
+import { deleteJournal, openJournal, replayJournal } from "./journal.js";
+
+// The journal (see journal.js) only lets a run recover the work of one that
+// crashed on the same machine, and on GitHub-hosted runners, every run gets a
+// fresh machine. So every config.checkpointEvery work items, a run also saves
+// the work it's done so far the same way it does at the end of the run - as
+// a new intermediate counts file and the shard's state - and commits and
+// pushes that, so that wherever the next run happens, a crash costs at most
+// that many work items.
+//
+// The catch is that the fetcher "threads" carry on while we do that, so some
+// work items are in flight - taken off the shard's queues in memory, but not
+// finished with. So rather than saving the shard's state from memory, we save
+// its state as of the last save with the journal replayed on top, which
+// leaves anything in flight on the queues (just like when recovering from a
+// crash), and then start a fresh journal. All of that happens synchronously,
+// so no entries can be recorded while it's going on; only the committing and
+// pushing happens while fetching carries on. Each checkpoint also renews the
+// run's lease on the shard, if it has one (see leases.js), so that a run
+// that's still making progress never loses it.
+//
+// If a checkpoint fails to push, though, we stop fetching. Usually that means
+// our commit conflicted with another runner's, because that runner claimed
+// the shard after our lease expired; commitAndPush (see git.js) then throws
+// our commit away and resets the working tree to match theirs, shard state
+// and all, under our feet. So we've lost our lease, and the run has to
+// discard its work, just like when its final push conflicts. If the push
+// failed some other way, we can't be sure what state the working tree was
+// left in either, but the run still holds its lease, so it saves its work as
+// usual, which pushes the checkpoint along with it if it can.
+
+/**
+ * Opens the journal for the given work shard, like openJournal, except that
+ * it saves and pushes a checkpoint as described above every `every` entries
+ * (or never, if that's 0). `workShard` and `counts` must be the objects the
+ * run is recording its work in: each checkpoint removes the counts it saves
+ * from `counts`, and moves `workShard` on to the next counts file, so that
+ * the end of the run only saves what's happened since. If the run holds a
+ * lease on the shard, renewLease must be a function that renews it, returning
+ * the path to commit (see renewLease in leases.js).
+ *
+ * The returned journal also has:
+ * * a `signal` property, an AbortSignal that's aborted once a checkpoint
+ *   fails to push, to pass to fetchQueuedCounts
+ * * a `lostLease` property, which is true if that was because another runner
+ *   had taken over the shard, in which case the run must discard its work
+ * * a `settle` method, which waits for any checkpoint that's still being
+ *   pushed, and must be called before the run saves its work
+ */
+export function openCheckpointingJournal({
+  fs,
+  git,
+  workShard,
+  counts,
+  every,
+  renewLease = null,
+}) {
+  let journal = openJournal(fs, workShard);
+  let entriesSinceCheckpoint = 0;
+  let pushing = null;
+  let lostLease = false;
+  const controller = new AbortController();
+
+  function saveCheckpoint() {
+    const savedShard = loadWorkShard(fs, workShard.id);
+    const savedCounts = {};
+    replayJournal(fs, savedShard, savedCounts);
+    const countsPath = countsFilePath(savedShard, savedShard.countsFilesSoFar);
+    fs.writeFileSync(countsPath, JSON.stringify(savedCounts));
+    savedShard.countsFilesSoFar++;
+    saveWorkShard(fs, savedShard);
+    deleteJournal(fs, workShard.id);
+    journal = openJournal(fs, savedShard);
+
+    workShard.countsFilesSoFar = savedShard.countsFilesSoFar;
+    for (const name of Object.keys(savedCounts)) {
+      delete counts[name];
+    }
+    return countsPath;
+  }
+
+  async function pushCheckpoint(countsPath) {
+    try {
+      await git.add(
+        countsPath,
+        workShardPath(workShard.id),
+        ...(renewLease ? [renewLease()] : []),
+      );
+      if (!(await git.commitAndPush(`Checkpoint work on ${workShard.id}`))) {
+        console.error("Another runner took over", workShard.id);
+        lostLease = true;
+        controller.abort();
+      }
+    } catch (e) {
+      console.error("Failed to push checkpoint of", workShard.id, e);
+      controller.abort();
+    }
+  }
+
+  return {
+    record(entry) {
+      journal.record(entry);
+      entriesSinceCheckpoint++;
+      // (If we're still pushing the last checkpoint, the next one waits for
+      // the next entry after that's done.)
+      if (
+        every > 0 &&
+        entriesSinceCheckpoint >= every &&
+        !pushing &&
+        !controller.signal.aborted
+      ) {
+        entriesSinceCheckpoint = 0;
+        const countsPath = saveCheckpoint();
+        pushing = pushCheckpoint(countsPath).finally(() => {
+          pushing = null;
+        });
+      }
+    },
+
+    signal: controller.signal,
+
+    get lostLease() {
+      return lostLease;
+    },
+
+    async settle() {
+      await pushing;
+    },
+  };
+}
@@ -0,0 +1,403 @@
+import fs from "node:fs";
+import { parseArgs } from "node:util";
+import { EXPORT_FORMATS, checkExportFormatsSupported } from "./exports.js";
+import { isValidNameSource } from "./nameSources.js";
+
+// Settings for the build that it's useful to be able to change without
+// editing code - e.g. to point the build at a local mock registry (see
+// mockRegistry.js) for testing, or to run a private build with different
+// limits.
+//
+// Each setting can come from (in increasing order of precedence):
+// * its default value below
+// * a JSON config file - buildConfig.json in the working directory if it
+//   exists, or whatever file is named by the --config flag or the
+//   DOWNLOAD_COUNTS_CONFIG environment variable
+// * an environment variable
+// * a command line flag
+const SETTINGS = {
+  // Base URL of the API to fetch download counts from:
+  apiHost: {
+    default: "https://api.npmjs.org",
+    env: "DOWNLOAD_COUNTS_API_HOST",
+    flag: "api-host",
+    type: "string",
+  },
+  // Base URL of the registry to fetch package metadata (i.e. maintainers; see
+  // maintainersTopN) from:
+  registryHost: {
+    default: "https://registry.npmjs.org",
+    env: "DOWNLOAD_COUNTS_REGISTRY_HOST",
+    flag: "registry-host",
+    type: "string",
+  },
+  // Where to get the list of package names to fetch counts for (see
+  // nameSources.js); if there are several, we use every name from any of
+  // them. Like timeRanges, this is an array in the config file, and a
+  // comma-separated list elsewhere. Only takes effect at the start of a build.
+  nameSources: {
+    default: ["all-the-package-names"],
+    env: "DOWNLOAD_COUNTS_NAME_SOURCES",
+    flag: "name-sources",
+    type: "nameSources",
+  },
+  // Periods to fetch download counts for, each in a format the downloads API
+  // accepts (see TIME_RANGE_REGEX). The first one listed is the "primary"
+  // range, whose counts are published as the package's main export, and
+  // which determines how often we release (see version.js); the others are
+  // published under ranges/. In the config file, this is an array; in
+  // environment variables and flags, it's a comma-separated list.
+  timeRanges: {
+    default: ["last-month"],
+    env: "DOWNLOAD_COUNTS_TIME_RANGES",
+    flag: "time-ranges",
+    type: "timeRanges",
+  },
+  // See the comments on rate limiting in throttle.js for these. The interval
+  // between each thread's requests starts at initialRequestIntervalMs (unless
+  // an earlier run has learned a better one) and is kept between
+  // minRequestIntervalMs and maxRequestIntervalMs. Since the interval is per
+  // thread, the overall rate can be up to maxSimultaneousRequests requests per
+  // interval; with the defaults, that's one request every 3 seconds to start
+  // with, speeding up to at most one request every 2 seconds, half the rate
+  // of one request per second that's known to get us banned. (So if you
+  // raise maxSimultaneousRequests, raise minRequestIntervalMs with it.) The
+  // initial interval should be longer than the minimum, or the build never
+  // has any room to speed up.
+  maxSimultaneousRequests: {
+    default: 2,
+    env: "DOWNLOAD_COUNTS_MAX_SIMULTANEOUS_REQUESTS",
+    flag: "max-simultaneous-requests",
+    type: "integer",
+  },
+  initialRequestIntervalMs: {
+    default: 6000,
+    env: "DOWNLOAD_COUNTS_INITIAL_REQUEST_INTERVAL_MS",
+    flag: "initial-request-interval-ms",
+    type: "integer",
+    min: 0,
+  },
+  minRequestIntervalMs: {
+    default: 4000,
+    env: "DOWNLOAD_COUNTS_MIN_REQUEST_INTERVAL_MS",
+    flag: "min-request-interval-ms",
+    type: "integer",
+    min: 0,
+  },
+  maxRequestIntervalMs: {
+    default: 60000,
+    env: "DOWNLOAD_COUNTS_MAX_REQUEST_INTERVAL_MS",
+    flag: "max-request-interval-ms",
+    type: "integer",
+    min: 0,
+  },
+  // How many calls to make to the API before committing our work and exiting:
+  queriesPerRun: {
+    default: 10000,
+    env: "DOWNLOAD_COUNTS_QUERIES_PER_RUN",
+    flag: "queries-per-run",
+    type: "integer",
+  },
+  // How many work items (batches or single packages) to get through between
+  // checkpoints, at which we commit and push the work done so far, so that a
+  // run that crashes doesn't lose it all (see checkpoints.js). 0 disables
+  // checkpoints.
+  checkpointEvery: {
+    default: 1000,
+    env: "DOWNLOAD_COUNTS_CHECKPOINT_EVERY",
+    flag: "checkpoint-every",
+    type: "integer",
+    min: 0,
+  },
+  // How many of the most downloaded packages (in the primary time range) to
+  // also fetch daily download counts for. 0 disables this.
+  dailySeriesTopN: {
+    default: 10000,
+    env: "DOWNLOAD_COUNTS_DAILY_SERIES_TOP_N",
+    flag: "daily-series-top-n",
+    type: "integer",
+    min: 0,
+  },
+  // How many of the most downloaded packages (in the primary time range) to
+  // fetch the maintainers of from the registry, for publishing per-maintainer
+  // totals. 0 disables this.
+  maintainersTopN: {
+    default: 0,
+    env: "DOWNLOAD_COUNTS_MAINTAINERS_TOP_N",
+    flag: "maintainers-top-n",
+    type: "integer",
+    min: 0,
+  },
+  // Other formats to export the counts in (see exports.js), and whether to
+  // publish those exports in the package itself ("package") or attach them
+  // to a GitHub release ("release"). Like timeRanges, exportFormats is an
+  // array in the config file, and a comma-separated list elsewhere.
+  exportFormats: {
+    default: [],
+    env: "DOWNLOAD_COUNTS_EXPORT_FORMATS",
+    flag: "export-formats",
+    type: "list",
+    choices: EXPORT_FORMATS,
+  },
+  exportDestination: {
+    default: "package",
+    env: "DOWNLOAD_COUNTS_EXPORT_DESTINATION",
+    flag: "export-destination",
+    type: "choice",
+    choices: ["package", "release"],
+  },
+  // See leases.js for these three. workShards is how many pieces to split the
+  // work of fetching the counts for each time range into, and thus how many
+  // runners can usefully work on the build at once; it only takes effect at
+  // the start of a build. runnerId must be different for every runner working
+  // on the build at once, since runners sharing an ID would each take the
+  // others' leases for their own; so it's required if workShards is more
+  // than 1, and only defaults to DEFAULT_RUNNER_ID for a lone runner. (Either
+  // way, it's best for each runner to keep the same ID from run to run, so
+  // that it can immediately reclaim the lease on whatever it was doing if a
+  // run crashes, and so that its progress reports add up; see progress.js.)
+  workShards: {
+    default: 1,
+    env: "DOWNLOAD_COUNTS_WORK_SHARDS",
+    flag: "work-shards",
+    type: "integer",
+  },
+  runnerId: {
+    default: null,
+    env: "DOWNLOAD_COUNTS_RUNNER_ID",
+    flag: "runner-id",
+    type: "string",
+  },
+  leaseDurationMs: {
+    default: 8 * 60 * 60 * 1000,
+    env: "DOWNLOAD_COUNTS_LEASE_DURATION_MS",
+    flag: "lease-duration-ms",
+    type: "integer",
+  },
+  // Whether to fetch counts for the packages that were most downloaded in the
+  // previous release first, so that a partially finished build already has
+  // the counts most people want. (Only takes effect at the start of a build.)
+  prioritizeByPreviousRelease: {
+    default: false,
+    env: "DOWNLOAD_COUNTS_PRIORITIZE_BY_PREVIOUS_RELEASE",
+    flag: "prioritize-by-previous-release",
+    type: "boolean",
+  },
+  // How many of the previous release's most downloaded packages we must have
+  // counts for before publishing a preview release (see preview.js). 0
+  // disables preview releases. Requires prioritizeByPreviousRelease.
+  previewTopN: {
+    default: 0,
+    env: "DOWNLOAD_COUNTS_PREVIEW_TOP_N",
+    flag: "preview-top-n",
+    type: "integer",
+    min: 0,
+  },
+  // Publish the release even if it fails the sanity checks in validate.js.
+  // This is meant to be set for a single run, once a maintainer has checked
+  // the release over, rather than left on.
+  skipValidation: {
+    default: false,
+    env: "DOWNLOAD_COUNTS_SKIP_VALIDATION",
+    flag: "skip-validation",
+    type: "boolean",
+  },
+  // If set, rather than advancing the build of the public release by a step,
+  // do a whole build in one go and write the files it would have published to
+  // this directory (see localBuild.js).
+  outputDir: {
+    default: null,
+    env: "DOWNLOAD_COUNTS_OUTPUT_DIR",
+    flag: "output-dir",
+    type: "string",
+  },
+  // Token to authenticate to the API at apiHost and the registry at
+  // registryHost with, for private registries that require one. Best set with
+  // the environment variable, rather than a flag that will show up in the
+  // process list.
+  authToken: {
+    default: null,
+    env: "DOWNLOAD_COUNTS_AUTH_TOKEN",
+    flag: "auth-token",
+    type: "string",
+  },
+  // File to append a Markdown summary of each run's progress report (see
+  // progress.js) to. GitHub Actions sets GITHUB_STEP_SUMMARY to a file whose
+  // contents it displays on the page for the workflow run.
+  jobSummaryPath: {
+    default: null,
+    env: "GITHUB_STEP_SUMMARY",
+    flag: "job-summary-path",
+    type: "string",
+  },
+  // URL to POST a JSON notification to when the build stalls or finishes (see
+  // progress.js). Keep this in a secret if it's something like a Slack
+  // webhook, which anyone who knows the URL can post to.
+  webhookUrl: {
+    default: null,
+    env: "DOWNLOAD_COUNTS_WEBHOOK_URL",
+    flag: "webhook-url",
+    type: "string",
+  },
+};
+
+const DEFAULT_CONFIG_PATH = "buildConfig.json";
+
+const DEFAULT_RUNNER_ID = "default";
+
+// Either one of the named periods the downloads API supports, or an explicit
+// YYYY-MM-DD:YYYY-MM-DD date range.
+const TIME_RANGE_REGEX =
+  /^(last-day|last-week|last-month|last-year|\d{4}-\d{2}-\d{2}:\d{4}-\d{2}-\d{2})$/;
+
+/**
+ * Reads the build configuration from the config file, environment and command
+ * line arguments, as described at the top of this file.
+ */
+export function loadConfig(args = process.argv.slice(2), env = process.env) {
+  const parseArgsOptions = { config: { type: "string" } };
+  for (const setting of Object.values(SETTINGS)) {
+    parseArgsOptions[setting.flag] = { type: "string" };
+  }
+  const { values: flags } = parseArgs({ args, options: parseArgsOptions });
+
+  const configPath = flags.config ?? env.DOWNLOAD_COUNTS_CONFIG;
+  let configFile = {};
+  if (configPath != null || fs.existsSync(DEFAULT_CONFIG_PATH)) {
+    configFile = JSON.parse(
+      fs.readFileSync(configPath ?? DEFAULT_CONFIG_PATH).toString(),
+    );
+  }
+  for (const key of Object.keys(configFile)) {
+    if (!Object.hasOwn(SETTINGS, key)) {
+      throw new Error(`Unknown setting ${key} in config file`);
+    }
+  }
+
+  const config = {};
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    let value = setting.default;
+    let source = "default";
+    // (An empty environment variable counts as unset, since that's what a
+    // GitHub Actions workflow gives us for a secret that doesn't exist.)
+    for (const [candidate, candidateSource] of [
+      [configFile[key], "config file"],
+      [env[setting.env] || null, `environment variable ${setting.env}`],
+      [flags[setting.flag], `flag --${setting.flag}`],
+    ]) {
+      if (candidate != null) {
+        value = candidate;
+        source = candidateSource;
+      }
+    }
+    config[key] = validateSetting(setting, value, source);
+  }
+  if (config.minRequestIntervalMs > config.maxRequestIntervalMs) {
+    throw new Error(
+      `min-request-interval-ms (${config.minRequestIntervalMs}) is greater than max-request-interval-ms (${config.maxRequestIntervalMs})`,
+    );
+  }
+  if (config.runnerId == null) {
+    if (config.workShards > 1) {
+      throw new Error(
+        "runner-id must be set, to a different value for each runner, when work-shards is more than 1",
+      );
+    }
+    config.runnerId = DEFAULT_RUNNER_ID;
+  }
+  if (config.previewTopN > 0 && !config.prioritizeByPreviousRelease) {
+    throw new Error(
+      "preview-top-n requires prioritize-by-previous-release, since otherwise the top packages could be fetched last",
+    );
+  }
+  checkExportFormatsSupported(config.exportFormats);
+  config.apiHost = config.apiHost.replace(/\/+$/, "");
+  config.registryHost = config.registryHost.replace(/\/+$/, "");
+  return config;
+}
+
+function validateSetting(setting, value, source) {
+  // (Settings that are off by default have a default of null.)
+  if (value === null && setting.default === null) {
+    return null;
+  }
+  if (setting.type === "timeRanges") {
+    const timeRanges = typeof value === "string" ? value.split(",") : value;
+    if (
+      !Array.isArray(timeRanges) ||
+      timeRanges.length == 0 ||
+      !timeRanges.every((range) => TIME_RANGE_REGEX.test(range)) ||
+      new Set(timeRanges).size != timeRanges.length
+    ) {
+      throw new Error(
+        `Expected a list of distinct time ranges for ${setting.flag} (from ${source}), got ${value}`,
+      );
+    }
+    return timeRanges;
+  }
+  if (setting.type === "nameSources") {
+    const sources = typeof value === "string" ? value.split(",") : value;
+    if (
+      !Array.isArray(sources) ||
+      sources.length == 0 ||
+      !sources.every(
+        (nameSource) =>
+          typeof nameSource === "string" && isValidNameSource(nameSource),
+      )
+    ) {
+      throw new Error(
+        `Expected a list of package name sources for ${setting.flag} (from ${source}), got ${value}`,
+      );
+    }
+    return sources;
+  }
+  if (setting.type === "integer") {
+    const number = Number(value);
+    const min = setting.min ?? 1;
+    if (!Number.isInteger(number) || number < min) {
+      throw new Error(
+        `Expected an integer >= ${min} for ${setting.flag} (from ${source}), got ${value}`,
+      );
+    }
+    return number;
+  }
+  if (setting.type === "list") {
+    const list =
+      typeof value === "string" ? value.split(",").filter(Boolean) : value;
+    if (
+      !Array.isArray(list) ||
+      !list.every((item) => setting.choices.includes(item)) ||
+      new Set(list).size != list.length
+    ) {
+      throw new Error(
+        `Expected a list of distinct values from ${setting.choices.join(", ")} for ${setting.flag} (from ${source}), got ${value}`,
+      );
+    }
+    return list;
+  }
+  if (setting.type === "choice") {
+    if (!setting.choices.includes(value)) {
+      throw new Error(
+        `Expected one of ${setting.choices.join(", ")} for ${setting.flag} (from ${source}), got ${value}`,
+      );
+    }
+    return value;
+  }
+  if (setting.type === "boolean") {
+    if (value === true || value === "true") {
+      return true;
+    }
+    if (value === false || value === "false") {
+      return false;
+    }
+    throw new Error(
+      `Expected true or false for ${setting.flag} (from ${source}), got ${value}`,
+    );
+  }
+  if (typeof value !== "string" || value === "") {
+    throw new Error(
+      `Expected a non-empty string for ${setting.flag} (from ${source}), got ${value}`,
+    );
+  }
+  return value;
+}
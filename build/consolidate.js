@@ -0,0 +1,455 @@
+import path from "node:path";
+import os from "node:os";
+import { shardKey } from "../compact.js";
+import { timeRangeSlug } from "../ranges.js";
+
+// Once we've fetched all the download counts we're going to get, spread across
+// the intermediate counts files written by each run of the build (see
+// countsFilePath), we consolidate them into the files we actually publish to
+// npm. Most of these are only written for the primary time range; for each of
+// the others, we just write COUNTS_PATH, RANKING_PATH, STATUS_PATH,
+// SCOPES_PATH and MAINTAINERS_PATH to a subdirectory of RANGES_DIR. See
+// ranges.js for how these get used.
+
+// COUNTS_PATH holds the giant object mapping package names to download counts;
+// RANKING_PATH holds the same package names sorted by download count, for use
+// by the query functions in index.js.
+export const COUNTS_PATH = "counts.json";
+export const RANKING_PATH = "ranking.json";
+
+// We also publish the counts from recent releases, so that consumers can look
+// at trends. HISTORY_PATH holds the counts from the last HISTORY_LENGTH
+// releases (including the current one) - but only for the HISTORY_TOP_N most
+// downloaded packages in either the current release or the previous one,
+// since a year of counts for every package on npm would make the package
+// several times bigger (which matters e.g. for deploying it to a serverless
+// platform with a size limit). Including the previous release's top packages
+// means packages whose counts collapsed still show up as fallers.
+export const HISTORY_PATH = "history.json";
+const HISTORY_LENGTH = 12;
+const HISTORY_TOP_N = 10000;
+
+// Directory holding the same data as COUNTS_PATH, but split into small shards
+// that can be loaded individually. See compact.js for the format.
+export const SHARDS_DIR = "shards";
+
+// Daily download counts (over the primary time range) for the most downloaded
+// packages - see createDailySeriesState in state.js. The file holds an object
+// with a `days` property listing the days covered, as YYYY-MM-DD strings, and
+// a `counts` property mapping each package name to an array of its download
+// counts on each of those days (with null for any we didn't get a count for).
+export const DAILY_PATH = "daily.json";
+
+// Object mapping the name of every package that we DON'T have a download
+// count for to the reason why (one of the values of PACKAGE_STATUSES in
+// state.js). We publish this so that consumers can tell e.g. packages that the
+// npm API's WAF stubbornly refused to give us counts for apart from ones that
+// genuinely don't exist.
+export const STATUS_PATH = "status.json";
+
+// Totals for groups of packages, which would be slow for consumers to compute
+// themselves from COUNTS_PATH: SCOPES_PATH covers every scope, and
+// MAINTAINERS_PATH every maintainer of the most downloaded packages (see
+// createMaintainersState in state.js). Both are written for every time range,
+// and hold an object mapping each scope (like "@babel") or maintainer's npm
+// username to an object with these properties:
+// * total - the sum of the download counts of all their packages
+// * packages - how many packages they have download counts for
+// * top - the names of their AGGREGATE_TOP_N most downloaded packages, most
+//   downloaded first
+export const SCOPES_PATH = "scopes.json";
+export const MAINTAINERS_PATH = "maintainers.json";
+const AGGREGATE_TOP_N = 10;
+
+// List of all the time ranges in the release, primary one first:
+export const TIME_RANGES_PATH = "timeRanges.json";
+export const RANGES_DIR = "ranges";
+
+// Facts about how the release was built, as an object with these properties:
+// * version - the release's version
+// * nameSources - where the list of packages we fetched counts for came from
+//   (see nameSources.js)
+export const METADATA_PATH = "metadata.json";
+
+/**
+ * Path of the intermediate counts file written by the i-th run of the build
+ * that fetched counts for the given work shard (see state.js).
+ */
+export function countsFilePath(workShard, i) {
+  return `${workShard.countsFilesPrefix}${i}.json`;
+}
+
+/**
+ * Merges all the intermediate counts files for every work shard of the time
+ * range with the given state into a single object.
+ */
+export function mergeCountsFiles(fs, rangeState) {
+  const counts = {};
+  for (const workShard of rangeState.workShards) {
+    for (let i = 0; i < workShard.countsFilesSoFar; i++) {
+      Object.assign(
+        counts,
+        JSON.parse(fs.readFileSync(countsFilePath(workShard, i))),
+      );
+    }
+  }
+  return counts;
+}
+
+/**
+ * The packageStatuses of every work shard of the time range with the given
+ * state, merged into a single object.
+ */
+export function mergePackageStatuses(rangeState) {
+  return Object.assign(
+    {},
+    ...rangeState.workShards.map(({ packageStatuses }) => packageStatuses),
+  );
+}
+
+/**
+ * The names of all the packages in counts, sorted by download count (highest
+ * first).
+ */
+export function computeRanking(counts) {
+  // Precompute the sort that consumers would otherwise each have to do
+  // themselves to get the top n packages. Ties are broken by name so that the
+  // ranking is deterministic.
+  return Object.keys(counts).sort(
+    (name1, name2) =>
+      counts[name2] - counts[name1] ||
+      (name1 < name2 ? -1 : name1 > name2 ? 1 : 0),
+  );
+}
+
+/**
+ * The totals described above SCOPES_PATH for every group of packages, where
+ * getGroups returns the names of the groups a package belongs to, and ranking
+ * is as returned by computeRanking(counts).
+ */
+export function computeAggregates(counts, ranking, getGroups) {
+  // (With no prototype, so that a maintainer called e.g. "constructor" can't
+  // trip us up.)
+  const aggregates = Object.create(null);
+  // (Going through the packages in ranking order means each group's top
+  // packages come out already sorted.)
+  for (const name of ranking) {
+    for (const group of getGroups(name)) {
+      aggregates[group] ??= { total: 0, packages: 0, top: [] };
+      aggregates[group].total += counts[name];
+      aggregates[group].packages++;
+      if (aggregates[group].top.length < AGGREGATE_TOP_N) {
+        aggregates[group].top.push(name);
+      }
+    }
+  }
+  return aggregates;
+}
+
+/**
+ * Writes every file we publish to outDir, based on the state of a build that
+ * has finished fetching counts - or, for a preview release, that has fetched
+ * enough of them to be useful. Returns the paths written, relative to outDir.
+ * The history we publish extends that of the latest release of packageName
+ * on npm, if packageName isn't null.
+ */
+export async function consolidate({
+  fs,
+  state,
+  version,
+  packageName,
+  execFileAsync,
+  outDir = ".",
+}) {
+  const outPath = (...segments) => path.join(outDir, ...segments);
+  const [primaryRange, ...otherRanges] = Object.keys(state.ranges);
+  fs.writeFileSync(
+    outPath(TIME_RANGES_PATH),
+    JSON.stringify([primaryRange, ...otherRanges]),
+  );
+  fs.writeFileSync(
+    outPath(METADATA_PATH),
+    JSON.stringify({ version, nameSources: state.nameSources }),
+  );
+
+  // (Only the most downloaded packages' maintainers get fetched, and only if
+  // config.maintainersTopN is set.)
+  const maintainersByPackage = state.maintainers
+    ? mergeCountsFiles(fs, state.maintainers)
+    : {};
+  const writeAggregates = (dir, counts, ranking) => {
+    fs.writeFileSync(
+      path.join(dir, SCOPES_PATH),
+      JSON.stringify(
+        computeAggregates(counts, ranking, (name) =>
+          name.startsWith("@") ? [name.split("/")[0]] : [],
+        ),
+      ),
+    );
+    fs.writeFileSync(
+      path.join(dir, MAINTAINERS_PATH),
+      JSON.stringify(
+        computeAggregates(
+          counts,
+          ranking,
+          (name) => maintainersByPackage[name] ?? [],
+        ),
+      ),
+    );
+  };
+
+  fs.rmSync(outPath(RANGES_DIR), { recursive: true, force: true });
+  for (const timeRange of otherRanges) {
+    const rangeState = state.ranges[timeRange];
+    const rangeDir = outPath(RANGES_DIR, timeRangeSlug(timeRange));
+    fs.mkdirSync(rangeDir, { recursive: true });
+    const rangeCounts = mergeCountsFiles(fs, rangeState);
+    const rangeRanking = computeRanking(rangeCounts);
+    fs.writeFileSync(
+      path.join(rangeDir, RANKING_PATH),
+      JSON.stringify(rangeRanking),
+    );
+    writeAggregates(rangeDir, rangeCounts, rangeRanking);
+    fs.writeFileSync(
+      path.join(rangeDir, STATUS_PATH),
+      JSON.stringify(mergePackageStatuses(rangeState)),
+    );
+    fs.writeFileSync(
+      path.join(rangeDir, COUNTS_PATH),
+      JSON.stringify(rangeCounts),
+    );
+  }
+
+  const primaryState = state.ranges[primaryRange];
+  const counts = mergeCountsFiles(fs, primaryState);
+  const ranking = computeRanking(counts);
+  fs.writeFileSync(outPath(RANKING_PATH), JSON.stringify(ranking));
+  writeAggregates(outDir, counts, ranking);
+  // (Builds that aren't published to npm have no previous release to extend
+  // the history of; see localBuild.js.)
+  const previousHistory = packageName
+    ? await fetchPreviousHistory({ fs, execFileAsync, packageName })
+    : createEmptyHistory();
+  const history = extendHistory(previousHistory, counts, version);
+  fs.writeFileSync(outPath(HISTORY_PATH), JSON.stringify(history));
+  writeShards(fs, counts, outDir);
+  // (A preview release can happen before we've even queued up the daily
+  // counts.)
+  const dailySeries = state.dailySeries
+    ? mergeCountsFiles(fs, state.dailySeries)
+    : {};
+  fs.writeFileSync(
+    outPath(DAILY_PATH),
+    JSON.stringify(compactDailySeries(dailySeries)),
+  );
+  fs.writeFileSync(
+    outPath(STATUS_PATH),
+    JSON.stringify(mergePackageStatuses(primaryState)),
+  );
+  // (COUNTS_PATH must be written last, since its existence is what tells
+  // subsequent runs that this step has completed.)
+  fs.writeFileSync(outPath(COUNTS_PATH), JSON.stringify(counts));
+  return [
+    TIME_RANGES_PATH,
+    METADATA_PATH,
+    ...(otherRanges.length ? [RANGES_DIR] : []),
+    RANKING_PATH,
+    SCOPES_PATH,
+    MAINTAINERS_PATH,
+    HISTORY_PATH,
+    SHARDS_DIR,
+    DAILY_PATH,
+    STATUS_PATH,
+    COUNTS_PATH,
+  ];
+}
+
+/**
+ * Downloads and extracts the latest release published to npm, and returns
+ * whatever readRelease returns when passed the directory it was extracted to
+ * and its version. The directory is deleted afterwards. Returns null, without
+ * calling readRelease, if the package has never been published.
+ */
+async function readPreviousRelease(
+  { fs, execFileAsync, packageName },
+  readRelease,
+) {
+  // The build branch for the previous release is long gone by now, so the
+  // only place the previous release's data still lives is npm itself. We can't
+  // just `npm install` it, since npm refuses to install a package as a
+  // dependency of a package with the same name, so we download and extract
+  // the tarball instead:
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "download-counts-"));
+  try {
+    let stdout;
+    try {
+      ({ stdout } = await execFileAsync(
+        "npm",
+        [
+          "pack",
+          `${packageName}@latest`,
+          "--json",
+          "--pack-destination",
+          tmpDir,
+        ],
+        { maxBuffer: 64 * 1024 * 1024 },
+      ));
+    } catch (e) {
+      // (E.g. the very first build of a fork published under a new name.)
+      if (/\bE404\b/.test(`${e.stdout}\n${e.stderr}`)) {
+        console.log(
+          packageName,
+          "has never been published to npm, so there's no previous release",
+        );
+        return null;
+      }
+      throw e;
+    }
+    const [{ filename, version }] = JSON.parse(stdout);
+    await execFileAsync("tar", [
+      "-xzf",
+      path.join(tmpDir, filename),
+      "-C",
+      tmpDir,
+    ]);
+    return readRelease(path.join(tmpDir, "package"), version);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * The history file from the latest release published to npm, in the same
+ * format as the one we write to HISTORY_PATH, but covering every package in
+ * that release - or an empty history if there is no such release.
+ */
+export async function fetchPreviousHistory({ fs, execFileAsync, packageName }) {
+  const previousHistory = await readPreviousRelease(
+    { fs, execFileAsync, packageName },
+    (releaseDir, version) => {
+      // Releases from before we started publishing history files only
+      // contain their own month's counts, so we treat those as a history of
+      // length 1:
+      const previousHistoryPath = path.join(releaseDir, HISTORY_PATH);
+      const history = fs.existsSync(previousHistoryPath)
+        ? JSON.parse(fs.readFileSync(previousHistoryPath))
+        : { versions: [version], counts: {} };
+      // And since the history only covers the top packages, we fill in the
+      // release's own counts for the rest, so that packages that have just
+      // become popular enough to be included have growth figures:
+      const previousCounts = JSON.parse(
+        fs.readFileSync(path.join(releaseDir, COUNTS_PATH)),
+      );
+      const nEarlierVersions = history.versions.length - 1;
+      for (const [name, count] of Object.entries(previousCounts)) {
+        if (!Object.hasOwn(history.counts, name)) {
+          history.counts[name] = [...Array(nEarlierVersions).fill(null), count];
+        }
+      }
+      return history;
+    },
+  );
+  return previousHistory ?? createEmptyHistory();
+}
+
+function createEmptyHistory() {
+  return { versions: [], counts: {} };
+}
+
+/**
+ * The counts object from the latest release published to npm, or null if
+ * there is no such release.
+ */
+export async function fetchPreviousCounts({ fs, execFileAsync, packageName }) {
+  return await readPreviousRelease(
+    { fs, execFileAsync, packageName },
+    (releaseDir) =>
+      JSON.parse(fs.readFileSync(path.join(releaseDir, COUNTS_PATH))),
+  );
+}
+
+/**
+ * Appends the counts for the current release to a history object (as returned
+ * by fetchPreviousHistory), dropping releases beyond the HISTORY_LENGTH most
+ * recent ones, and packages outside the top ones (see HISTORY_TOP_N).
+ */
+export function extendHistory(previousHistory, counts, version) {
+  const nPreviousToKeep = Math.min(
+    previousHistory.versions.length,
+    HISTORY_LENGTH - 1,
+  );
+  const nPreviousToDrop = previousHistory.versions.length - nPreviousToKeep;
+  const history = {
+    versions: [...previousHistory.versions.slice(nPreviousToDrop), version],
+    counts: {},
+  };
+  const latestPreviousCounts = {};
+  for (const [name, packageCounts] of Object.entries(previousHistory.counts)) {
+    if (packageCounts.at(-1) != null) {
+      latestPreviousCounts[name] = packageCounts.at(-1);
+    }
+  }
+  // (Every package this picks has a count in the current release or the
+  // previous one, so none of them is all nulls.)
+  const names = new Set([
+    ...computeRanking(counts).slice(0, HISTORY_TOP_N),
+    ...computeRanking(latestPreviousCounts).slice(0, HISTORY_TOP_N),
+  ]);
+  for (const name of names) {
+    const previousCounts =
+      previousHistory.counts[name]?.slice(nPreviousToDrop) ??
+      Array(nPreviousToKeep).fill(null);
+    history.counts[name] = [...previousCounts, counts[name] ?? null];
+  }
+  return history;
+}
+
+/**
+ * Converts an object mapping package names to arrays of {day, downloads}
+ * objects, as returned by the API's range endpoint, into the format we write
+ * to DAILY_PATH.
+ */
+export function compactDailySeries(dailySeries) {
+  // The responses for different packages don't necessarily cover exactly the
+  // same days, since the days covered by e.g. last-month can change between
+  // the runs of the build that fetched them.
+  const days = new Set();
+  for (const packageSeries of Object.values(dailySeries)) {
+    for (const { day } of packageSeries) {
+      days.add(day);
+    }
+  }
+  const sortedDays = [...days].sort();
+  const dayIndexes = new Map(sortedDays.map((day, i) => [day, i]));
+  const counts = {};
+  for (const [name, packageSeries] of Object.entries(dailySeries)) {
+    counts[name] = Array(sortedDays.length).fill(null);
+    for (const { day, downloads } of packageSeries) {
+      counts[name][dayIndexes.get(day)] = downloads;
+    }
+  }
+  return { days: sortedDays, counts };
+}
+
+/**
+ * Writes counts to SHARDS_DIR (in outDir) in the format that compact.js reads.
+ */
+export function writeShards(fs, counts, outDir = ".") {
+  const shardsDir = path.join(outDir, SHARDS_DIR);
+  fs.rmSync(shardsDir, { recursive: true, force: true });
+  fs.mkdirSync(shardsDir);
+  const shards = new Map();
+  for (const name of Object.keys(counts).sort()) {
+    const key = shardKey(name);
+    if (!shards.has(key)) {
+      shards.set(key, []);
+    }
+    shards.get(key).push(name);
+  }
+  for (const [key, names] of shards) {
+    const shardCounts = Buffer.alloc(names.length * 8);
+    names.forEach((name, i) => shardCounts.writeDoubleLE(counts[name], i * 8));
+    fs.writeFileSync(path.join(shardsDir, `${key}.names`), names.join("\n"));
+    fs.writeFileSync(path.join(shardsDir, `${key}.counts`), shardCounts);
+  }
+}
@@ -0,0 +1,175 @@
+import path from "node:path";
+import { isBuiltin } from "node:module";
+
+// Besides the JSON files that the package's own code uses, a release can
+// include the primary time range's counts in formats that are easier to load
+// into other tools (e.g. data warehouses or pandas), as configured by
+// config.exportFormats:
+// * csv - COUNTS_CSV_PATH, with a header row, then a rank,package,downloads
+//   row for every package, most downloaded first
+// * ndjson - COUNTS_NDJSON_PATH, with a {"rank", "package", "downloads"}
+//   object on each line, in the same order
+// * sqlite - COUNTS_SQLITE_PATH, a SQLite database with a `counts` table with
+//   the same columns, indexed by package name and by rank
+// Ranks are as returned by rank() in query.js, so packages with equal counts
+// share a rank.
+//
+// These files are big - comparable in size to counts.json each - so rather
+// than being committed to the build branch by Scenario 3, like the files
+// written by consolidate, they're written from the same intermediate counts
+// files just before publishing. Depending on config.exportDestination, they
+// then either get published in the package itself, or attached to a GitHub
+// release for the version instead (see uploadReleaseAssets), so that people
+// who only want the JavaScript API don't have to download them.
+
+export const EXPORT_FORMATS = ["csv", "ndjson", "sqlite"];
+export const COUNTS_CSV_PATH = "counts.csv";
+export const COUNTS_NDJSON_PATH = "counts.ndjson";
+export const COUNTS_SQLITE_PATH = "counts.sqlite";
+
+// Where we write the exports when they're going to be attached to a release
+// rather than published in the package:
+export const EXPORTS_DIR = "exports";
+
+// How many rows we insert into the SQLite database per transaction:
+const SQLITE_BATCH_SIZE = 10000;
+
+/**
+ * Throws if this version of Node can't write all of the given formats, so
+ * that a build configured to export them fails as soon as it starts (see
+ * loadConfig in config.js), rather than weeks later when it comes to publish.
+ */
+export function checkExportFormatsSupported(formats) {
+  if (formats.includes("sqlite") && !isBuiltin("node:sqlite")) {
+    throw new Error(sqliteUnavailableMessage());
+  }
+}
+
+/**
+ * Writes the counts in each of the given formats (see EXPORT_FORMATS) to
+ * outDir, given the counts object and its ranking as returned by
+ * computeRanking in consolidate.js. Returns the paths written.
+ */
+export async function writeExports({ fs, counts, ranking, formats, outDir }) {
+  if (formats.length == 0) {
+    return [];
+  }
+  fs.mkdirSync(outDir, { recursive: true });
+  const rows = rankedRows(counts, ranking);
+  const writtenPaths = [];
+  if (formats.includes("csv")) {
+    const csvPath = path.join(outDir, COUNTS_CSV_PATH);
+    // (npm package names can't contain commas, quotes or newlines, so nothing
+    // needs quoting.)
+    fs.writeFileSync(
+      csvPath,
+      [
+        "rank,package,downloads",
+        ...rows.map(({ rank, name, count }) => `${rank},${name},${count}`),
+      ].join("\n") + "\n",
+    );
+    writtenPaths.push(csvPath);
+  }
+  if (formats.includes("ndjson")) {
+    const ndjsonPath = path.join(outDir, COUNTS_NDJSON_PATH);
+    fs.writeFileSync(
+      ndjsonPath,
+      rows
+        .map(({ rank, name, count }) =>
+          JSON.stringify({ rank, package: name, downloads: count }),
+        )
+        .join("\n") + "\n",
+    );
+    writtenPaths.push(ndjsonPath);
+  }
+  if (formats.includes("sqlite")) {
+    const sqlitePath = path.join(outDir, COUNTS_SQLITE_PATH);
+    fs.rmSync(sqlitePath, { force: true });
+    await writeSqlite(sqlitePath, rows);
+    writtenPaths.push(sqlitePath);
+  }
+  return writtenPaths;
+}
+
+function rankedRows(counts, ranking) {
+  const rows = [];
+  let rank = 0;
+  ranking.forEach((name, i) => {
+    if (i == 0 || counts[name] != counts[ranking[i - 1]]) {
+      rank = i + 1;
+    }
+    rows.push({ rank, name, count: counts[name] });
+  });
+  return rows;
+}
+
+async function writeSqlite(sqlitePath, rows) {
+  // node:sqlite is only available in recent versions of Node, so we only load
+  // it if we need it, rather than stopping the build from running at all on
+  // older ones.
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = await import("node:sqlite"));
+  } catch (e) {
+    throw new Error(sqliteUnavailableMessage(), { cause: e });
+  }
+  const db = new DatabaseSync(sqlitePath);
+  try {
+    // (No primary key, which SQLite would index as we insert; see below.)
+    db.exec(`
+      CREATE TABLE counts (
+        rank INTEGER NOT NULL,
+        package TEXT NOT NULL,
+        downloads INTEGER NOT NULL
+      );
+    `);
+    const insert = db.prepare(
+      "INSERT INTO counts (rank, package, downloads) VALUES (?, ?, ?)",
+    );
+    for (let i = 0; i < rows.length; i += SQLITE_BATCH_SIZE) {
+      db.exec("BEGIN");
+      for (const { rank, name, count } of rows.slice(
+        i,
+        i + SQLITE_BATCH_SIZE,
+      )) {
+        insert.run(rank, name, count);
+      }
+      db.exec("COMMIT");
+    }
+    // (Creating the indexes after inserting everything is much faster than
+    // maintaining them as we go.)
+    db.exec("CREATE UNIQUE INDEX counts_by_package ON counts (package)");
+    db.exec("CREATE INDEX counts_by_rank ON counts (rank)");
+  } finally {
+    db.close();
+  }
+}
+
+function sqliteUnavailableMessage() {
+  return `Exporting to SQLite requires a version of Node with node:sqlite (this is ${process.version})`;
+}
+
+/**
+ * Attaches the files at the given paths to the GitHub release for the given
+ * version, creating the release if it doesn't exist yet. Uses the gh CLI, so
+ * needs a GH_TOKEN with permission to write to the repository's contents.
+ */
+export async function uploadReleaseAssets({ execFileAsync, version, paths }) {
+  const tag = `v${version}`;
+  try {
+    await execFileAsync("gh", ["release", "view", tag]);
+  } catch {
+    await execFileAsync("gh", [
+      "release",
+      "create",
+      tag,
+      "--title",
+      version,
+      "--notes",
+      `Download counts from version ${version} of the npm package, in other formats.`,
+    ]);
+  }
+  // (--clobber means that if a previous attempt to publish crashed after
+  // uploading some of the files, we just overwrite them.)
+  await execFileAsync("gh", ["release", "upload", tag, ...paths, "--clobber"]);
+}
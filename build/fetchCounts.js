@@ -0,0 +1,532 @@
+import { PACKAGE_STATUSES, hasQueuedWork } from "./state.js";
+import { applyJournalEntry, createEntryRecorder } from "./journal.js";
+import {
+  createRateLimitState,
+  createThrottledFetcher,
+  summarizeRateLimitState,
+} from "./throttle.js";
+
+// Functions for fetching download counts from the API and recording them. Each
+// of them takes a context object with the following properties:
+// * state - the state of the work shard we're fetching counts for (see
+//   state.js), whose queues we put things back in if we need to retry them -
+//   or rather, an object that records those things for the shard's journal
+//   (see createEntryRecorder in journal.js)
+// * counts - object in which we record the counts we fetch (or, for the
+//   "metadata" endpoint, the maintainers) - again, for the journal
+// * timeRange - the time range we're fetching counts for
+// * endpoint - which of the API's endpoints to use: "point", which gives us a
+//   single download count for each package, or "range", which gives us an
+//   array of {day, downloads} objects instead - or "metadata", meaning we're
+//   fetching packages' maintainers from the registry rather than counts (see
+//   fetchMaintainersForSinglePackage)
+// * apiHost, registryHost - see config.js
+// * throttledFetch - see throttle.js
+// * recordUnexpectedError - see createErrorTracker
+
+// How many "unexpected"/"random" request failures (i.e. ones of types we have
+// no special handling for) have we seen? This would include e.g. 500s or
+// network errors. Occasionally getting these due to e.g. outages on npm's side
+// is no big deal, but if we see lots of them, something seems to be wrong, so
+// we abort and fail the GitHub Action by throwing an error.
+export const MAX_REQUEST_ERRORS = 80;
+
+/**
+ * Creates a function to be called whenever a request fails unexpectedly,
+ * which throws once that's happened MAX_REQUEST_ERRORS times. If given a
+ * tallies object (see createRequestTallies), it counts the failures in that.
+ */
+export function createErrorTracker(
+  maxErrors = MAX_REQUEST_ERRORS,
+  tallies = createRequestTallies(),
+) {
+  return function recordUnexpectedError() {
+    tallies.unexpectedErrors++;
+    if (tallies.unexpectedErrors >= maxErrors) {
+      throw new Error(
+        `Got alarmingly many (${tallies.unexpectedErrors}) unexpected errors querying API.`,
+      );
+    }
+  };
+}
+
+/**
+ * An object for fetchQueuedCounts to tally what happened on a run in (for the
+ * progress report; see progress.js):
+ * * itemsCompleted - how many work items (batches or single packages) we
+ *   finished with, i.e. didn't put back on a queue as they were
+ * * responsesByStatus - how many responses we got with each HTTP status,
+ *   including ones we retried (e.g. 429s)
+ * * unexpectedErrors - see createErrorTracker
+ */
+export function createRequestTallies() {
+  return { itemsCompleted: 0, responsesByStatus: {}, unexpectedErrors: 0 };
+}
+
+/**
+ * Wraps fetch so that requests to config.apiHost and config.registryHost carry
+ * config.authToken, if it's set, as a bearer token - for private registries
+ * that require one (see localBuild.js). Requests anywhere else, like to
+ * config.webhookUrl, are left alone, so the token doesn't leak.
+ */
+export function createAuthorizedFetch(fetch, config) {
+  if (config.authToken == null) {
+    return fetch;
+  }
+  const hosts = [config.apiHost, config.registryHost];
+  return function authorizedFetch(url, options = {}) {
+    if (!hosts.some((host) => String(url).startsWith(`${host}/`))) {
+      return fetch(url, options);
+    }
+    return fetch(url, {
+      ...options,
+      headers: {
+        ...options.headers,
+        Authorization: `Bearer ${config.authToken}`,
+      },
+    });
+  };
+}
+
+/**
+ * Works through the queues in state (the state of a single work shard),
+ * fetching download counts for timeRange from the given endpoint and recording
+ * them in counts, until either the queues are empty, we've made
+ * config.queriesPerRun queries or the given AbortSignal (if any) is aborted.
+ * We start off sending requests at the given interval, and adjust it as
+ * described in throttle.js. Returns the interval we ended up at, and the
+ * figures from summarizeRateLimitState. The outcome of
+ * each request is recorded in the given journal (see journal.js) as soon as
+ * it completes, and counted in the given tallies object (see
+ * createRequestTallies), which is therefore up to date even if we throw.
+ *
+ * If anything goes wrong, we stop all the "threads" before throwing. Any work
+ * items they had in flight will have been taken off the queues in state
+ * without being finished, so the caller should then recover the state from
+ * the journal instead.
+ */
+export async function fetchQueuedCounts({
+  state,
+  timeRange,
+  endpoint = "point",
+  counts,
+  config,
+  fetch,
+  journal,
+  tallies = createRequestTallies(),
+  intervalMs = config.initialRequestIntervalMs,
+  signal = null,
+}) {
+  // How many calls we should make to the npm registry before we commit our
+  // work and exit. Fairly arbitrary; we just want something low enough that
+  // 1. an unexpected crash of the script won't lose us too much work, and 2.
+  // if there's ever a persistent crash at a particular point, we can kick off
+  // the script from not long before then to debug it.
+  let queriesRemaining = config.queriesPerRun;
+
+  const rateLimitState = createRateLimitState({
+    intervalMs,
+    minIntervalMs: config.minRequestIntervalMs,
+    maxIntervalMs: config.maxRequestIntervalMs,
+  });
+  const recordUnexpectedError = createErrorTracker(MAX_REQUEST_ERRORS, tallies);
+  const tallyingFetch = async (...args) => {
+    const resp = await fetch(...args);
+    tallies.responsesByStatus[resp.status] =
+      (tallies.responsesByStatus[resp.status] ?? 0) + 1;
+    return resp;
+  };
+  let failed = false;
+
+  // We start many "threads" running this function, each of which loops
+  // repeatedly pulling either a batch of unscoped packages or a single scoped
+  // package from the queue, fetches the download count(s) for it, and records
+  // them.
+  async function startFetcherThread() {
+    const context = {
+      apiHost: config.apiHost,
+      registryHost: config.registryHost,
+      timeRange,
+      endpoint,
+      throttledFetch: createThrottledFetcher({
+        fetch: tallyingFetch,
+        rateLimitState,
+      }),
+      recordUnexpectedError,
+    };
+
+    while (
+      !failed &&
+      !signal?.aborted &&
+      queriesRemaining >= 0 &&
+      hasQueuedWork(state)
+    ) {
+      let queue;
+      let fetchForItem;
+      if (state.unscopedPackageBatches.length > 0) {
+        queue = "unscopedPackageBatches";
+        fetchForItem = fetchCountsForUnscopedBatch;
+      } else if (state.singlePackages.length > 0) {
+        queue = "singlePackages";
+        fetchForItem =
+          endpoint == "metadata"
+            ? fetchMaintainersForSinglePackage
+            : fetchCountForSinglePackage;
+      } else if (state.status403Packages.length > 0) {
+        queue = "status403Packages";
+        fetchForItem = recoverBlockedPackage;
+      } else throw "unreachable";
+
+      const item = state[queue].pop();
+      const recorder = createEntryRecorder(queue, item);
+      try {
+        await fetchForItem(item, {
+          ...context,
+          state: recorder.state,
+          counts: recorder.counts,
+        });
+      } catch (e) {
+        failed = true;
+        throw e;
+      }
+      // (Recording an entry can trigger a checkpoint - see checkpoints.js -
+      // which expects counts to include the entry's already.)
+      applyJournalEntry(state, counts, recorder.entry);
+      journal.record(recorder.entry);
+      // (An item we just put back on a queue to retry doesn't count as
+      // completed.)
+      const itemKey = JSON.stringify(item);
+      if (
+        !recorder.entry.requeue.some(
+          ([, requeuedItem]) => JSON.stringify(requeuedItem) == itemKey,
+        )
+      ) {
+        tallies.itemsCompleted++;
+      }
+
+      queriesRemaining--;
+      if (queriesRemaining % 250 == 0) {
+        console.log(
+          new Date(),
+          queriesRemaining,
+          "more API requests to make before next save point",
+        );
+      }
+    }
+  }
+
+  const threads = [];
+  for (let i = 0; i < config.maxSimultaneousRequests; i++) {
+    threads.push(startFetcherThread());
+  }
+  const results = await Promise.allSettled(threads);
+  const failure = results.find(({ status }) => status == "rejected");
+  if (failure) {
+    throw failure.reason;
+  }
+
+  return {
+    intervalMs: rateLimitState.intervalMs,
+    metrics: summarizeRateLimitState(rateLimitState),
+  };
+}
+
+export async function fetchCountsForUnscopedBatch(batch, context) {
+  const {
+    state,
+    counts,
+    apiHost,
+    timeRange,
+    endpoint,
+    throttledFetch,
+    recordUnexpectedError,
+  } = context;
+  const batchStr = batch.join(",");
+  let resp;
+  try {
+    resp = await throttledFetch(
+      `${apiHost}/downloads/${endpoint}/${timeRange}/${batchStr}`,
+    );
+  } catch (e) {
+    // An error here means we didn't get a response AT ALL, e.g. due to a
+    // network error or total server outage - or that we got nothing but
+    // responses telling us to slow down (see createThrottledFetcher). This is
+    // almost certainly temporary so we should retry.
+    console.error(
+      `Failed to fetch ${batchStr}. Putting back in the queue to retry.`,
+    );
+    state.unscopedPackageBatches.push(batch);
+    recordUnexpectedError();
+    return;
+  }
+  if (resp.status == 400 || resp.status === 403) {
+    // 400s
+    // ----
+    // The API enforces a maximum request length; if we go beyond that, we get
+    // a 400 error with a body saying "Request Header Or Cookie Too Large".
+    // This only happens in practice when we have a batch entirely made up of
+    // unusually long package names.
+    // Example URL: https://api.npmjs.org/downloads/point/last-month/coursedio-14snoitulos-gninrael-enihcam-elbaterpretni-dna-iax-ia-elbanialpxe-gnicudorp-snoitadnuof-ia-dna-gninrael-enihcam-2wonk-dluohs-uoy-tahw,coursedio-14snoitulos-gninrael-enihcam-elbaterpretni-dna-iax-ia-elbanialpxe-gnicudorp-snoitadnuof-ia-dna-gninrael-enihcam-31xob-kcalb-a-sa-seifilauq-tahw,coursedio-14snoitulos-gninrael-enihcam-elbaterpretni-dna-iax-ia-elbanialpxe-gnicudorp-snoitadnuof-ia-dna-gninrael-enihcam-32emink-htiw-ledom-etagorrus-a-gniterpretni-dna-gnipoleved,coursedio-14snoitulos-gninrael-enihcam-elbaterpretni-dna-iax-ia-elbanialpxe-gnicudorp-snoitadnuof-ia-dna-gninrael-enihcam-33lmi-rof-lacitirc-si-gnireenigne-erutaef-yhw,coursedio-14snoitulos-gninrael-enihcam-elbaterpretni-dna-iax-ia-elbanialpxe-gnicudorp-snoitadnuof-ia-dna-gninrael-enihcam-3tciderp-sledom-ruoy-yhw-dna-tahw-eht-gnidnatsrednu,coursedio-14snoitulos-gninrael-enihcam-elbaterpretni-dna-iax-ia-elbanialpxe-gnicudorp-snoitadnuof-ia-dna-gninrael-enihcam-41sledom-xob-kcalb-evah-ew-od-yhw,coursedio-14snoitulos-gninrael-enihcam-elbaterpretni-dna-iax-ia-elbanialpxe-gnicudorp-snoitadnuof-ia-dna-gninrael-enihcam-42ecnatropmi-erutaef-noitatumrep,coursedio-14snoitulos-gninrael-enihcam-elbaterpretni-dna-iax-ia-elbanialpxe-gnicudorp-snoitadnuof-ia-dna-gninrael-enihcam-43sdnert-tnecer-dna-sleroc,coursedio-14snoitulos-gninrael-enihcam-elbaterpretni-dna-iax-ia-elbanialpxe-gnicudorp-snoitadnuof-ia-dna-gninrael-enihcam-4sedoc-nosaer-dna-ecnatropmi-elbairav,coursedio-14snoitulos-gninrael-enihcam-elbaterpretni-dna-iax-ia-elbanialpxe-gnicudorp-snoitadnuof-ia-dna-gninrael-enihcam-51ffoedart-ytilibaterpretni-ycarucca-eht-si-tahw,coursedio-14snoitulos-gninrael-enihcam-elbaterpretni-dna-iax-ia-elbanialpxe-gnicudorp-snoitadnuof-ia-dna-gninrael-enihcam-52omed-ecnatropmi-erutaef-labolg,coursedio-14snoitulos-gninrael-enihcam-elbaterpretni-dna-iax-ia-elbanialpxe-gnicudorp-snoitadnuof-ia-dna-gninrael-enihcam-53iax-erolpxe-ot-gniunitnoc,coursedio-14snoitulos-gninrael-enihcam-elbaterpretni-dna-iax-ia-elbanialpxe-gnicudorp-snoitadnuof-ia-dna-gninrael-enihcam-5iax-dna-lmi-gnirapmoc,coursedio-14snoitulos-gninrael-enihcam-elbaterpretni-dna-iax-ia-elbanialpxe-gnicudorp-snoitadnuof-ia-dna-gninrael-enihcam-61iax-tsniaga-tnemugra-eht,coursedio-14snoitulos-gninrael-enihcam-elbaterpretni-dna-iax-ia-elbanialpxe-gnicudorp-snoitadnuof-ia-dna-gninrael-enihcam-62seulav-yelpahs-rof-noitiutni-na-gnipoleved,coursedio-14snoitulos-gninrael-enihcam-elbaterpretni-dna-iax-ia-elbanialpxe-gnicudorp-snoitadnuof-ia-dna-gninrael-enihcam-6tnenimorp-erom-melborp-iax-eht-gnikam-ia-ni-sdnert,coursedio-14snoitulos-gninrael-enihcam-elbaterpretni-dna-iax-ia-elbanialpxe-gnicudorp-snoitadnuof-ia-dna-gninrael-enihcam-71emink-gnicudortni,coursedio-14snoitulos-gninrael-enihcam-elbaterpretni-dna-iax-ia-elbanialpxe-gnicudorp-snoitadnuof-ia-dna-gninrael-enihcam-72pahs-gnicudortni,coursedio-14snoitulos-gninrael-enihcam-elbaterpretni-dna-iax-ia-elbanialpxe-gnicudorp-snoitadnuof-ia-dna-gninrael-enihcam-7snoitanalpxe-labolg-dna-lacol,coursedio-14snoitulos-gninrael-enihcam-elbaterpretni-dna-iax-ia-elbanialpxe-gnicudorp-snoitadnuof-ia-dna-gninrael-enihcam-81emink-ni-sledom-gnidliub,coursedio-14snoitulos-gninrael-enihcam-elbaterpretni-dna-iax-ia-elbanialpxe-gnicudorp-snoitadnuof-ia-dna-gninrael-enihcam-82skrowten-laruen-rof-snoitanalpxe-lacol-edivorp-ot-emil-gnisu,coursedio-14snoitulos-gninrael-enihcam-elbaterpretni-dna-iax-ia-elbanialpxe-gnicudorp-snoitadnuof-ia-dna-gninrael-enihcam-8sledom-gniggubed-rof-iax,coursedio-14snoitulos-gninrael-enihcam-elbaterpretni-dna-iax-ia-elbanialpxe-gnicudorp-snoitadnuof-ia-dna-gninrael-enihcam-91emink-ni-gnipool-gnidnatsrednu,coursedio-14snoitulos-gninrael-enihcam-elbaterpretni-dna-iax-ia-elbanialpxe-gnicudorp-snoitadnuof-ia-dna-gninrael-enihcam-92slautcafretnuoc-era-tahw,coursedio-14snoitulos-gninrael-enihcam-elbaterpretni-dna-iax-ia-elbanialpxe-gnicudorp-snoitadnuof-ia-dna-gninrael-enihcam-9snoitanalpxe-lacol-dna-labolg-fo-troppus-emink,coursedio-14snoitulos-gninrael-enihcam-elbaterpretni-dna-iax-ia-elbanialpxe-gnicudorp-snoitadnuof-ia-dna-gninrael-enihcam-excercise,coursedio-15xedniamall-dna-niahcgnal-htiw-noitartsehcro-ia-ot-noitcudortni-01gniddebme-na-gnisoohc,coursedio-15xedniamall-dna-niahcgnal-htiw-noitartsehcro-ia-ot-noitcudortni-02krowemarf-tnega-tcaer-eht-ot-noitcudortni,coursedio-15xedniamall-dna-niahcgnal-htiw-noitartsehcro-ia-ot-noitcudortni-0xedniamall-dna-niahcgnal-htiw-sppa-ia-lacol-gnidliub,coursedio-15xedniamall-dna-niahcgnal-htiw-noitartsehcro-ia-ot-noitcudortni-11xedniamall-htiw-gar,coursedio-15xedniamall-dna-niahcgnal-htiw-noitartsehcro-ia-ot-noitcudortni-12tnega-tcaer-a-gnitnemelpmi,coursedio-15xedniamall-dna-niahcgnal-htiw-noitartsehcro-ia-ot-noitcudortni-1wonk-dluohs-uoy-tahw,coursedio-15xedniamall-dna-niahcgnal-htiw-noitartsehcro-ia-ot-noitcudortni-21niahcgnal-htiw-gar,coursedio-15xedniamall-dna-niahcgnal-htiw-noitartsehcro-ia-ot-noitcudortni-22sessenkaew-dna-shtgnerts-xedniamall-dna-niahcgnal-egnellahc,coursedio-15xedniamall-dna-niahcgnal-htiw-noitartsehcro-ia-ot-noitcudortni-2sppa-ia-gnidliub-rof-tnemnorivne-ruoy-pu-gnittes,coursedio-15xedniamall-dna-niahcgnal-htiw-noitartsehcro-ia-ot-noitcudortni-31noitazirammus-tnemucod-egnellahc,coursedio-15xedniamall-dna-niahcgnal-htiw-noitartsehcro-ia-ot-noitcudortni-32sessenkaew-dna-shtgnerts-xedniamall-dna-niahcgnal-noitulos,coursedio-15xedniamall-dna-niahcgnal-htiw-noitartsehcro-ia-ot-noitcudortni-3stpecnoc-noitartsehcro-ia,coursedio-15xedniamall-dna-niahcgnal-htiw-noitartsehcro-ia-ot-noitcudortni-41noitazirammus-tnemucod-noitulos,coursedio-15xedniamall-dna-niahcgnal-htiw-noitartsehcro-ia-ot-noitcudortni-42sreenigne-ppa-ia-rof-spets-txen,coursedio-15xedniamall-dna-niahcgnal-htiw-noitartsehcro-ia-ot-noitcudortni-4ipa-ianepo-eht-htiw-ppa-na-gnidliub,coursedio-15xedniamall-dna-niahcgnal-htiw-noitartsehcro-ia-ot-noitcudortni-51swolfkrow-xelpmoc-erom-dna-gniniahc-rof-stpecnoc-ppa,coursedio-15xedniamall-dna-niahcgnal-htiw-noitartsehcro-ia-ot-noitcudortni-5smll-lacol-gninnur,coursedio-15xedniamall-dna-niahcgnal-htiw-noitartsehcro-ia-ot-noitcudortni-61mll-eht-fo-tuo-nosj-gnitteg,coursedio-15xedniamall-dna-niahcgnal-htiw-noitartsehcro-ia-ot-noitcudortni-6ppa-niahcgnal-tsrif-ruoy,coursedio-15xedniamall-dna-niahcgnal-htiw-noitartsehcro-ia-ot-noitcudortni-71gnillac-noitcnuf-mll,coursedio-15xedniamall-dna-niahcgnal-htiw-noitartsehcro-ia-ot-noitcudortni-7ppa-xedniamall-tsrif-ruoy,coursedio-15xedniamall-dna-niahcgnal-htiw-noitartsehcro-ia-ot-noitcudortni-81gnidaolffo-ksat-mll-lacol-egnellahc,coursedio-15xedniamall-dna-niahcgnal-htiw-noitartsehcro-ia-ot-noitcudortni-8sppa-ia-gniggubed,coursedio-15xedniamall-dna-niahcgnal-htiw-noitartsehcro-ia-ot-noitcudortni-91gnidaolffo-ksat-mll-lacol-noitulos,coursedio-15xedniamall-dna-niahcgnal-htiw-noitartsehcro-ia-ot-noitcudortni-9noitareneg-detnemgua-laveirter-stnemucod-lacol-revo-ia,coursedio-15xedniamall-dna-niahcgnal-htiw-noitartsehcro-ia-ot-noitcudortni-excercise,coursedio-19lmotua-ot-ediug-evitucexe-01esahp-gniledom-eht-gnirud-seitilibapac-s-lmotua,coursedio-19lmotua-ot-ediug-evitucexe-0smaet-scitylana-gnignahc-si-lmotua-woh,coursedio-19lmotua-ot-ediug-evitucexe-11noitaulave-ssenisub-dna-ycarucca-ledom-gnirapmoc,coursedio-19lmotua-ot-ediug-evitucexe-1wonk-dluohs-uoy-tahw,coursedio-19lmotua-ot-ediug-evitucexe-21sledom-gniniatniam-dna-gnirotinom,coursedio-19lmotua-ot-ediug-evitucexe-2lmotua-si-tahw,coursedio-19lmotua-ot-ediug-evitucexe-31epacsdnal-rodnev-lmotua-eht,coursedio-19lmotua-ot-ediug-evitucexe-3atad-derutcurts-no-gninrael-enihcam-desivrepus-gnidnatsrednu,coursedio-19lmotua-ot-ediug-evitucexe-41emink-htiw-lmotua-gnitartsnomed,coursedio-19lmotua-ot-ediug-evitucexe-4spo-lm-dna-gnireenigne-atad,coursedio-19lmotua-ot-ediug-evitucexe-51lmotua-rof-rohpatem-a,coursedio-19lmotua-ot-ediug-evitucexe-5elcycefil-lm-eht-gnidnatsrednu,coursedio-19lmotua-ot-ediug-evitucexe-61noitisopmoc-maet-rof-ecivda,coursedio-19lmotua-ot-ediug-evitucexe-6noitinifed-melborp-lm-fo-egnellahc-eht,coursedio-19lmotua-ot-ediug-evitucexe-71spets-txen,coursedio-19lmotua-ot-ediug-evitucexe-7yllufsseccus-tsom-detamotua-neeb-evah-sesahp-hcihw,coursedio-19lmotua-ot-ediug-evitucexe-8gnidnatsrednu-atad-gnitamotua-fo-egnellahc-eht,coursedio-19lmotua-ot-ediug-evitucexe-9perp-atad-gnirud-od-t-nac-dna-nac-lmotua-tahw,coursedio-1sadnap-decnavda-01sadnap-gnisu-snoitagergga-dna-ybpuorg,coursedio-1sadnap-decnavda-0level-txen-eht-ot-sadnap-ekat,coursedio-1sadnap-decnavda-11kcats-tovip-semarfatad-gnipahser,coursedio-1sadnap-decnavda-1sadnap-htiw-detrats-gnitteg,coursedio-1sadnap-decnavda-21semarfatad-tacnoc-gnitanetacnoc-dna-nioj-egrem-gnigrem,coursedio-1sadnap-decnavda-2sadnap-gnisu-semarfatad-ot-ortni,coursedio-1sadnap-decnavda-31spuorg-otni-selbairav-gnippam,coursedio-1sadnap-decnavda-3sadnap-gnisu-snoitcnuf-pot,coursedio-1sadnap-decnavda-41sadnap-htiw-gnittolp,coursedio-1sadnap-decnavda-4sadnap-gnisu-snoitpo-gnirugifnoc,coursedio-1sadnap-decnavda-51snoitcnuf-lacitsitats-dna-snoitalerroc,coursedio-1sadnap-decnavda-5sadnap-gnisu-snoisrevnoc-epyt-atad,coursedio-1sadnap-decnavda-61gniliforp-sadnap-htiw-ade-etarelecca,coursedio-1sadnap-decnavda-6sadnap-gnisu-sgnirts-htiw-gnikrow,coursedio-1sadnap-decnavda-71sadnapoeg-htiw-atad-cihpargoeg-erolpxe,coursedio-1sadnap-decnavda-7sadnap-gnisu-setad-htiw-gnikrow,coursedio-1sadnap-decnavda-81kraps-salaok-dna-ksad-htiw-sadnap-dnoyeb,coursedio-1sadnap-decnavda-8sadnap-gnisu-atad-gnissim-htiw-gnilaed,coursedio-1sadnap-decnavda-91snoitcnuf-sadnap-decnavda-gnisu-drawrof-htap-ruoy,coursedio-1sadnap-decnavda-9pamylppa-pam-ylppa,coursedio-1sadnap-decnavda-excercise,coursedio-21erutcip-gib-eht-ia-eruza-01tpg-s-ianepo-htiw-tahc-gniogno-na-etaerc,coursedio-21erutcip-gib-eht-ia-eruza-02rosivda-scirtem,coursedio-21erutcip-gib-eht-ia-eruza-0weiv-toof---a-morf-ia-eruza,coursedio-21erutcip-gib-eht-ia-eruza-11snoitelpmoc-eruza-htiw-srewsna-txet-elpmis,coursedio-21erutcip-gib-eht-ia-eruza-12hcraes-evitingoc,coursedio-21erutcip-gib-eht-ia-eruza-1esruoc-siht-fo-tuo-tsom-eht-teg,coursedio-21erutcip-gib-eht-ia-eruza-21e-llad-htiw-ia-evitareneg,coursedio-21erutcip-gib-eht-ia-eruza-22scimoneg-tfosorcim,coursedio-21erutcip-gib-eht-ia-eruza-2ia-eruza-fo-weivrevo-na,coursedio-21erutcip-gib-eht-ia-eruza-31soiduts-eruza-eht,coursedio-21erutcip-gib-eht-ia-eruza-32mroftalp-iasnob,coursedio-21erutcip-gib-eht-ia-eruza-3seman-ecivres-ia-eruza-eht,coursedio-21erutcip-gib-eht-ia-eruza-41oiduts-noisiv-htiw-sisylana-egami,coursedio-21erutcip-gib-eht-ia-eruza-42ytefas-tnetnoc-ia-eruza,coursedio-21erutcip-gib-eht-ia-eruza-4secivres-ia-eruza-eht-fo-ruot-trohs-a,coursedio-21erutcip-gib-eht-ia-eruza-51oiduts-egaugnal-htiw-sisylana-egaugnal,coursedio-21erutcip-gib-eht-ia-eruza-52yenruoj-ruoy-eunitnoc,coursedio-21erutcip-gib-eht-ia-eruza-5gninrael-enihcam-eruza-fo-scisab-eht,coursedio-21erutcip-gib-eht-ia-eruza-61oiduts-hceeps-htiw-noitaerc-oidua-dna-sisylana-hceeps,coursedio-21erutcip-gib-eht-ia-eruza-6oiduts-gninrael-enihcam-eruza,coursedio-21erutcip-gib-eht-ia-eruza-71ecivres-tob-eruza,coursedio-21erutcip-gib-eht-ia-eruza-7wolf-tpmorp-htiw-stpmorp-retteb-dliub,coursedio-21erutcip-gib-eht-ia-eruza-81ecnegilletni-tnemucod-eruza,coursedio-21erutcip-gib-eht-ia-eruza-8ecivres-ianepo-eruza-fo-scisab-eht,coursedio-21erutcip-gib-eht-ia-eruza-91redaer-evisremmi,coursedio-21erutcip-gib-eht-ia-eruza-9oiduts-ia-eruza-eht-erolpxe,coursedio-21nohtyp-secivres-gninrael-enihcam-revres-lqs-01revres-lqs-ot-tes-tluser-a-tuptuo,coursedio-21nohtyp-secivres-gninrael-enihcam-revres-lqs-02emarf-atad-a-elpmas-noitulos,coursedio-21nohtyp-secivres-gninrael-enihcam-revres-lqs-03erudecorp-derots-a-etirw-egnellahc,coursedio-21nohtyp-secivres-gninrael-enihcam-revres-lqs-0nohtyp-htiw-atad-revres-lqs-ezylana,coursedio-21nohtyp-secivres-gninrael-enihcam-revres-lqs-11sllaftip-xatnys-nohtyp,coursedio-21nohtyp-secivres-gninrael-enihcam-revres-lqs-12seires-dna-sexedni-htiw-seulav-nruter,coursedio-21nohtyp-secivres-gninrael-enihcam-revres-lqs-13erudecorp-derots-a-etirw-noitulos,coursedio-21nohtyp-secivres-gninrael-enihcam-revres-lqs-1wonk-dluohs-uoy-tahw,coursedio-21nohtyp-secivres-gninrael-enihcam-revres-lqs-21emarf-atad-a-tropmi-egnellahc,coursedio-21nohtyp-secivres-gninrael-enihcam-revres-lqs-22emarf-atad-a-ot-seires-a-trevnoc,coursedio-21nohtyp-secivres-gninrael-enihcam-revres-lqs-23revres-enoladnats-a-no-slm-llatsni
+    // The fix for this is just to split the batch into two smaller batches and
+    // try again.
+    //
+    // 403s
+    // ----
+    // The /downloads API sits behind some Cloudflare service - maybe it's
+    // Cloudflare WAF? - that heuristically blocks requests that it thinks look
+    // like attacks. Some package names - and some COMBINATIONS of package
+    // names that are okay on their own - trigger this blocking, causing a 403
+    // with a Cloudflare-generated error page that says:
+    // "Sorry, you have been blocked" & "You are unable to access npmjs.org".
+    // There doesn't appear to be any lasting block applied to your IP as this
+    // might imply, but retrying the SAME request will yield the same result.
+    // Whenever we hit this on a bulk request, we split the batch of package
+    // names into two batches of half the size and try again. If we are lucky,
+    // they will both be accepted by the WAF! If not we keep going until either
+    // we succeed or we get down to "batches" consisting of single package
+    // names, at which point we stick them in singlePackages for
+    // fetchCountForSinglePackage to handle.
+    // Example URLs that trigger the 403:
+    // * https://api.npmjs.org/downloads/point/last-month/leads-notify-vkm,leads-parser,leads-router,leads-shared,leads-switch-btn-vkm,leadsender_s3,leadshark-models,leadsheetjs,leadsimple-kve3lq75zd,leadsitelib,leadsmithaiv2,leadsoft-leadtrust-plugin,leadsoft-react-ui-kit,leadspent-far-cover,leadsquared,leadssu-webmaster-api,leadsx10-email-editor,leadsy,leadsync,leadsyncapp,leadtech-lib-datadog-build-tools,leadtech-lib-datadog-utils,leadtracker,leadup,leadutils,leadvm,leadwatch,leadzai-design-system,leaf,leaf-ai.js,leaf-along0,leaf-assistant.js,leaf-auth,leaf-auth-express,leaf-auth-router,leaf-body,leaf-boss-cbd-gummies-read-shocking-report,leaf-chart,leaf-cli,leaf-cli-asdasd,leaf-collapse-component-vue,leaf-components,leaf-connect,leaf-connect-cli,leaf-converter,leaf-cookies,leaf-crowd-thrown,leaf-cts-middleware,leaf-dashboard,leaf-db,leaf-dust,leaf-engine,leaf-fence-when-somehow,leaf-fix-deep,leaf-flip,leaf-flux-dispatcher,leaf-frame,leaf-framework,leaf-glucose,leaf-grid,leaf-it-to-me,leaf-javascript,leaf-jts,leaf-koa,leaf-koala,leaf-lib,leaf-log,leaf-machine,leaf-mate-premium-cbd-oil-must-read-shocking-reviews,leaf-mdns,leaf-observable,leaf-occur,leaf-onerror,leaf-orient,leaf-pkginfo,leaf-proto,leaf-protocol,leaf-query.js,leaf-react,leaf-react-ui,leaf-require,leaf-require-cli,leaf-reset,leaf-rule,leaf-sale-web3-official,leaf-scripts,leaf-semantic-core,leaf-server,leaf-simplest-round-ride,leaf-store,leaf-swam-longer,leaf-tools,leaf-tour,leaf-ts,leaf-typography,leaf-ui,leaf-ui-components,leaf-ui-font-test,leaf-ui-theme,leaf-utils,leaf-validation,leaf-validator,leaf-weather,leaf-web-cli,leaf-web-lib,leaf-webapp-lib,leaf-webpack-dev-middleware,leaf-wheel,leaf-wind-demo,leaf-yjx,leaf.js,leaf.seed,leaf4monkey-object-utils,leaf4monkey-xml,leaf_test,leaf_zs,leafage,leafast,leafbox,leafcase-assetlist,leafcase-authentication,leafcase-base,leafcase-caching,leafcase-couchdb,leafcase-couchdb-designdocument-manager,leafcase-data,leafcase-elasticsearch,leafcase-events
+    // * TODO: an example with a single package
+    console.warn("Got", resp.status, "response for batch", batchStr);
+    if (batch.length <= 3) {
+      for (const pkg of batch) {
+        state.singlePackages.push(pkg);
+      }
+    } else {
+      const splitPoint = Math.trunc(batch.length / 2);
+      state.unscopedPackageBatches.push(batch.slice(0, splitPoint));
+      state.unscopedPackageBatches.push(batch.slice(splitPoint));
+    }
+    return;
+  } else if (resp.status !== 200) {
+    // We've never seen this, but it seems possible we'll get e.g. a 500
+    // during some kind of outage. Retry.
+    console.error(
+      new Date(),
+      `Got unexpected ${resp.status} when trying to get batch ${batchStr}`,
+    );
+    state.unscopedPackageBatches.push(batch);
+    recordUnexpectedError();
+    return;
+  }
+  const respJson = await resp.json();
+  for (const [pkgName, pkgData] of Object.entries(respJson)) {
+    // (If a package doesn't exist at all - e.g. because it was unpublished -
+    // then pkgData itself will be null)
+    if (pkgData === null) {
+      state.packageStatuses[pkgName] = PACKAGE_STATUSES.UNPUBLISHED;
+    } else if (pkgData.downloads != null) {
+      counts[pkgName] = pkgData.downloads;
+    }
+  }
+}
+
+export async function fetchCountForSinglePackage(packageName, context) {
+  const {
+    state,
+    counts,
+    apiHost,
+    timeRange,
+    endpoint,
+    throttledFetch,
+    recordUnexpectedError,
+  } = context;
+  // See comments in fetchCountsForUnscopedBatch - error handling is similar
+  let resp;
+  try {
+    resp = await throttledFetch(
+      `${apiHost}/downloads/${endpoint}/${timeRange}/${packageName}`,
+    );
+  } catch (e) {
+    console.error(
+      `Failed to fetch ${packageName}. Putting back in the queue to retry.`,
+    );
+    state.singlePackages.push(packageName);
+    recordUnexpectedError();
+    return;
+  }
+  if (resp.status === 403) {
+    // The Cloudflare WAF won't allow us to query download counts for this
+    // package in the normal way. We record this fact and move on; once
+    // everything else is done, recoverBlockedPackage will try some other ways.
+    console.error("Got a 403 error for package", packageName);
+    state.status403Packages.push(packageName);
+    return;
+  } else if (resp.status === 404) {
+    // This status code is ONLY returned when you're querying downloads for a
+    // SINGLE package - never bulk requests, even if ALL the packages you're
+    // querying for don't exist.
+    // We expect to see these when recently-published packages make it into an
+    // all-the-package-names release but then get unpublished from the registry
+    // before the build gets to them.
+    // That's fine - we just leave it out from our data (noting why) and move
+    // on.
+    console.log("Got 404 for (presumably unpublished) package", packageName);
+    state.packageStatuses[packageName] = PACKAGE_STATUSES.UNPUBLISHED;
+    return;
+  } else if (resp.status !== 200) {
+    console.error(
+      new Date(),
+      `Got unexpected ${resp.status} when trying to get ${packageName}`,
+    );
+    state.singlePackages.push(packageName);
+    recordUnexpectedError();
+    return;
+  }
+  const downloads = (await resp.json()).downloads;
+  if (downloads != null) {
+    counts[packageName] = downloads;
+  }
+}
+
+export async function fetchMaintainersForSinglePackage(packageName, context) {
+  const { state, counts, registryHost, throttledFetch, recordUnexpectedError } =
+    context;
+  // We ask for the latest version's manifest, rather than the package's whole
+  // "packument", since for popular packages the latter can run to many
+  // megabytes. (Its maintainers list is as of when the latest version was
+  // published, which is close enough.) Error handling is otherwise similar to
+  // fetchCountForSinglePackage, except that a package we can't get the
+  // maintainers of is nothing to record - it just doesn't count towards any
+  // maintainer's totals.
+  let resp;
+  try {
+    resp = await throttledFetch(`${registryHost}/${packageName}/latest`);
+  } catch (e) {
+    console.error(
+      `Failed to fetch ${packageName}. Putting back in the queue to retry.`,
+    );
+    state.singlePackages.push(packageName);
+    recordUnexpectedError();
+    return;
+  }
+  if (resp.status === 403 || resp.status === 404) {
+    console.log("Got", resp.status, "for the metadata of", packageName);
+    return;
+  } else if (resp.status !== 200) {
+    console.error(
+      new Date(),
+      `Got unexpected ${resp.status} when trying to get ${packageName}`,
+    );
+    state.singlePackages.push(packageName);
+    recordUnexpectedError();
+    return;
+  }
+  const { maintainers } = await resp.json();
+  if (Array.isArray(maintainers)) {
+    // (Really old packages list maintainers as "name <email>" strings.)
+    counts[packageName] = maintainers.map((maintainer) =>
+      typeof maintainer == "string"
+        ? maintainer.split(" ")[0]
+        : maintainer.name,
+    );
+  }
+}
+
+// Names we pad out bulk queries with in the last of RECOVERY_STRATEGIES below:
+const RECOVERY_BULK_COMPANIONS = ["react", "lodash"];
+
+// Strategies for querying the download count of a package that got a 403 when
+// queried normally. Each one takes a package name and the context passed to
+// recoverBlockedPackage, and returns the URL to query and a function to
+// extract the download count (or, for the range endpoint, the array of daily
+// counts) from the JSON response body - or null if it isn't applicable.
+// Since the WAF is heuristic, changing the shape of the request - without
+// changing what we're asking for - is sometimes enough to get past it.
+// Only the first strategy asks in a way we know the API understands, so only
+// a 404 in response to that one (marked `trust404`) means the package doesn't
+// exist; for all we know, a 404 in response to any of the others could just
+// mean the API didn't make sense of the unusual way we asked, so we treat it
+// like a 403.
+const RECOVERY_STRATEGIES = [
+  // Percent-encode the name (which, notably, encodes the / in scoped names):
+  (packageName, { apiHost, timeRange, endpoint }) => ({
+    url: `${apiHost}/downloads/${endpoint}/${timeRange}/${encodeURIComponent(packageName)}`,
+    getDownloads: (respJson) => respJson.downloads,
+    trust404: true,
+  }),
+  // Percent-encode EVERY character of the name, whether it needs it or not:
+  (packageName, { apiHost, timeRange, endpoint }) => ({
+    url: `${apiHost}/downloads/${endpoint}/${timeRange}/${percentEncodeAll(packageName)}`,
+    getDownloads: (respJson) => respJson.downloads,
+  }),
+  // Ask for daily counts from the range endpoint instead, and add them up
+  // (which is pointless if we're asking for daily counts in the first place):
+  (packageName, { apiHost, timeRange, endpoint }) =>
+    endpoint === "range"
+      ? null
+      : {
+          url: `${apiHost}/downloads/range/${timeRange}/${packageName}`,
+          getDownloads: (respJson) =>
+            respJson.downloads?.reduce(
+              (total, day) => total + day.downloads,
+              0,
+            ),
+        },
+  // Regroup the package in a bulk query alongside some other, innocuous
+  // package names (only possible for unscoped packages, since the API doesn't
+  // support bulk queries of scoped ones):
+  (packageName, { apiHost, timeRange, endpoint }) =>
+    packageName.includes("/")
+      ? null
+      : {
+          url: `${apiHost}/downloads/${endpoint}/${timeRange}/${[packageName, ...RECOVERY_BULK_COMPANIONS].join(",")}`,
+          getDownloads: (respJson) => respJson[packageName]?.downloads,
+        },
+];
+
+function percentEncodeAll(str) {
+  return Array.from(new TextEncoder().encode(str))
+    .map((byte) => "%" + byte.toString(16).toUpperCase().padStart(2, "0"))
+    .join("");
+}
+
+export async function recoverBlockedPackage(packageName, context) {
+  const { state, counts, throttledFetch, recordUnexpectedError } = context;
+  // We try each of RECOVERY_STRATEGIES in turn until one gets past the WAF.
+  // Error handling is otherwise similar to fetchCountForSinglePackage, except
+  // that if we still get nothing but 403s, we record the package as blocked
+  // so that consumers can know that we tried.
+  for (const strategy of RECOVERY_STRATEGIES) {
+    const request = strategy(packageName, context);
+    if (!request) {
+      continue;
+    }
+    let resp;
+    try {
+      resp = await throttledFetch(request.url);
+    } catch (e) {
+      console.error(
+        `Failed to fetch ${request.url}. Putting back in the queue to retry.`,
+      );
+      state.status403Packages.push(packageName);
+      recordUnexpectedError();
+      return;
+    }
+    if (resp.status === 403 || (resp.status === 404 && !request.trust404)) {
+      continue;
+    } else if (resp.status === 404) {
+      console.log("Got 404 for (presumably unpublished) package", packageName);
+      state.packageStatuses[packageName] = PACKAGE_STATUSES.UNPUBLISHED;
+      return;
+    } else if (resp.status !== 200) {
+      console.error(
+        new Date(),
+        `Got unexpected ${resp.status} when trying to get ${request.url}`,
+      );
+      state.status403Packages.push(packageName);
+      recordUnexpectedError();
+      return;
+    }
+    const downloads = request.getDownloads(await resp.json());
+    if (downloads != null) {
+      console.log("Recovered download count for blocked package", packageName);
+      counts[packageName] = downloads;
+    }
+    return;
+  }
+  console.error("Could not get past the 403s for package", packageName);
+  state.packageStatuses[packageName] = PACKAGE_STATUSES.BLOCKED;
+}
@@ -0,0 +1,85 @@
+import { promisify } from "node:util";
+import { execFile } from "node:child_process";
+
+// Can't just use --author when committing - we need a *committer* identity,
+// not just an author identity, to be allowed to commit at all (which includes
+// rebasing). Specifying user.name & user.email provides both.
+// We don't set this via the `git config` command because that would mess with
+// your configured identity when you run this code locally.
+const IDENTITY_ARGS = [
+  "-c",
+  "user.name=download-counts bot",
+  "-c",
+  "user.email=markrobertamery+download-counts@gmail.com",
+];
+
+// How many times commitAndPush will try to push before giving up:
+const MAX_PUSH_ATTEMPTS = 5;
+
+/**
+ * Wrapper around the git operations the build needs, all of which happen on a
+ * single build branch. `execFileAsync` can be swapped out to run the build
+ * without touching a real repository.
+ */
+export function createGit(branchName, execFileAsync = promisify(execFile)) {
+  async function git(...command) {
+    return await execFileAsync("git", command);
+  }
+
+  return {
+    run: git,
+
+    /**
+     * Checks out the build branch, fetching it from origin if it exists there
+     * and creating it if not.
+     */
+    async switchToBranch() {
+      try {
+        await git("fetch", "origin", branchName);
+      } catch (e) {
+        await git("switch", "-c", branchName);
+        return;
+      }
+      await git("switch", branchName);
+      // (If we've checked out the branch before, other runners may have
+      // pushed to it since.)
+      await git("merge", "--ff-only", "FETCH_HEAD");
+    },
+
+    async add(...paths) {
+      await git("add", ...paths);
+    },
+
+    /**
+     * Commits what's been added and pushes it. If another runner (see
+     * leases.js) has pushed to the branch in the meantime, we rebase onto
+     * their changes and try again - unless their changes conflict with ours,
+     * in which case we throw ours away, leaving the working tree matching
+     * theirs. Returns whether our changes got pushed.
+     */
+    async commitAndPush(message) {
+      await git(...IDENTITY_ARGS, "commit", "-m", message);
+      for (let attempt = 1; ; attempt++) {
+        try {
+          await git("push", "origin", `${branchName}:refs/heads/${branchName}`);
+          return true;
+        } catch (e) {
+          // (A push can also fail for reasons that have nothing to do with
+          // other runners, like a network error, so we don't try forever.)
+          if (attempt >= MAX_PUSH_ATTEMPTS) {
+            throw e;
+          }
+        }
+        await git("fetch", "origin", branchName);
+        try {
+          await git(...IDENTITY_ARGS, "rebase", "--autostash", "FETCH_HEAD");
+        } catch (e) {
+          console.log("Our changes conflict with another runner's");
+          await git("rebase", "--abort");
+          await git("reset", "--hard", "FETCH_HEAD");
+          return false;
+        }
+      }
+    },
+  };
+}
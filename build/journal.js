@@ -0,0 +1,162 @@
+import { WORK_DIR } from "./state.js";
+
+// A run of the build that fetches counts for a work shard only saves its work
+// - the shard's state, and a new intermediate counts file - once it's done,
+// so if the process died partway through, all the requests it had made would
+// be wasted. To avoid that, as each request completes, we append what came
+// of it to a journal file for the shard: which queue the work item (a batch
+// or a package name) was taken from, the counts and package statuses we
+// recorded, and whatever we put back on the queues (e.g. the halves of a
+// batch that got a 403, or a package to retry). Replaying the journal on top
+// of the shard's state as of the last save (see replayJournal) therefore
+// recovers everything the run got done. Anything it had taken off the queues
+// but not finished with - i.e. requests in flight - is still on the queues in
+// the saved state, so nothing gets dropped either.
+//
+// The journal is deleted when the run saves its work normally. If a run
+// finds a journal left behind by one that crashed (which is only possible if
+// it's running on the same machine - e.g. a self-hosted runner - since the
+// journal never gets committed), it replays it before doing anything else.
+// For runs on other machines, runs also save their work periodically as they
+// go (see checkpoints.js), starting a fresh journal each time.
+
+// The first line of each journal is a header recording which save of the
+// shard's state the journal follows on from (identified by its
+// countsFilesSoFar). Every subsequent line is an entry, as described above,
+// with these properties:
+// * queue - the name of the queue the work item came from
+// * item - the work item itself
+// * counts - the counts we recorded
+// * statuses - the package statuses we recorded
+// * requeue - the work items we put back on the queues, as [queue, item]
+//   pairs
+
+/**
+ * Path of the journal file for the work shard with the given ID.
+ */
+export function journalPath(workShardId) {
+  return `${WORK_DIR}/${workShardId}.journal.ndjson`;
+}
+
+/**
+ * Opens the journal for the given work shard (creating it if a crashed run
+ * didn't leave one behind), returning an object with a `record` method that
+ * appends an entry.
+ */
+export function openJournal(fs, workShard) {
+  const path = journalPath(workShard.id);
+  if (!fs.existsSync(path)) {
+    fs.mkdirSync(WORK_DIR, { recursive: true });
+    fs.writeFileSync(
+      path,
+      JSON.stringify({ countsFilesSoFar: workShard.countsFilesSoFar }) + "\n",
+    );
+  }
+  return {
+    record(entry) {
+      fs.appendFileSync(path, JSON.stringify(entry) + "\n");
+    },
+  };
+}
+
+/**
+ * Deletes the journal for the work shard with the given ID, once the work
+ * it records has been saved.
+ */
+export function deleteJournal(fs, workShardId) {
+  fs.rmSync(journalPath(workShardId), { force: true });
+}
+
+/**
+ * An object for recording the outcome of a single work item taken from the
+ * named queue, to pass to the functions in fetchCounts.js in place of the
+ * shard's state and counts object. Its `entry` property is the journal entry
+ * describing what they did.
+ */
+export function createEntryRecorder(queue, item) {
+  const entry = { queue, item, counts: {}, statuses: {}, requeue: [] };
+  const recordingQueue = (name) => ({
+    push(...items) {
+      for (const requeuedItem of items) {
+        entry.requeue.push([name, requeuedItem]);
+      }
+    },
+  });
+  return {
+    entry,
+    state: {
+      unscopedPackageBatches: recordingQueue("unscopedPackageBatches"),
+      singlePackages: recordingQueue("singlePackages"),
+      status403Packages: recordingQueue("status403Packages"),
+      packageStatuses: entry.statuses,
+    },
+    counts: entry.counts,
+  };
+}
+
+/**
+ * Applies the outcome recorded in a journal entry to the given work shard and
+ * counts object. (The work item itself must already have been taken off its
+ * queue.)
+ */
+export function applyJournalEntry(workShard, counts, entry) {
+  Object.assign(counts, entry.counts);
+  Object.assign(workShard.packageStatuses, entry.statuses);
+  for (const [queue, item] of entry.requeue) {
+    workShard[queue].push(item);
+  }
+}
+
+/**
+ * Replays the journal left behind by a run that crashed while working on the
+ * given work shard, if there is one, on top of the shard's state as last
+ * saved and the given counts object. Returns the number of entries replayed.
+ */
+export function replayJournal(fs, workShard, counts) {
+  const path = journalPath(workShard.id);
+  if (!fs.existsSync(path)) {
+    return 0;
+  }
+  const [headerLine, ...entryLines] = fs
+    .readFileSync(path)
+    .toString()
+    .split("\n")
+    .filter((line) => line != "");
+  if (JSON.parse(headerLine).countsFilesSoFar != workShard.countsFilesSoFar) {
+    // The run that wrote this must have crashed after saving its work but
+    // before deleting the journal, so the work's already in the state.
+    deleteJournal(fs, workShard.id);
+    return 0;
+  }
+  let nReplayed = 0;
+  for (const line of entryLines) {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      // (The process died while writing this line.)
+      break;
+    }
+    if (!removeLast(workShard[entry.queue], entry.item)) {
+      console.error("Ignoring journal entry for unqueued", entry.item);
+      continue;
+    }
+    applyJournalEntry(workShard, counts, entry);
+    nReplayed++;
+  }
+  return nReplayed;
+}
+
+// Removes the last occurrence of item from queue, returning whether there was
+// one. Since we always take work from the end of the queues, that's where
+// we'll find it, so searching backwards is fast.
+function removeLast(queue, item) {
+  const key = JSON.stringify(item);
+  for (let i = queue.length - 1; i >= 0; i--) {
+    if (JSON.stringify(queue[i]) == key) {
+      queue.splice(i, 1);
+      return true;
+    }
+  }
+  return false;
+}
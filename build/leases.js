@@ -0,0 +1,104 @@
+import { WORK_DIR } from "./state.js";
+
+// Several runners (e.g. the jobs of a GitHub Actions matrix) can work on the
+// same build at once, all pushing to the same build branch. To stop them
+// treading on each other's toes, a runner must hold the lease on a piece of
+// work - either a work shard (see state.js) or one of the steps of the build
+// that must only happen once, like publishing - before doing it.
+//
+// A lease is just a file in WORK_DIR recording which runner holds it and
+// until when. A runner claims a lease by committing and pushing that file;
+// if two runners try to claim the same lease at once, only one of them can
+// push successfully, and the other's commit conflicts with it and gets thrown
+// away (see commitAndPush in git.js). A runner releases its lease on a work
+// shard by deleting the file again in the same commit as the results of its
+// work. Leases on one-off steps are never released, so that a runner that
+// hasn't yet noticed that the step has been done can't claim the lease and
+// repeat it. (Claiming it would conflict with the commit that created it.)
+//
+// Leases expire after config.leaseDurationMs, so that if a runner crashes
+// while holding one, another runner can reclaim the work after a while. This
+// should be comfortably longer than a single run of the build takes (which
+// on GitHub Actions can't be more than 6 hours anyway) - and a runner renews
+// its lease on a work shard with each checkpoint it pushes (see
+// checkpoints.js), so it only has to be longer than the time between those.
+//
+// A lone runner has nobody to coordinate with, so it doesn't take out leases
+// at all, which saves it a commit and push on every run. We take there to be
+// several runners if either the build's state or the config splits the work
+// into several work shards. (We check both because config.workShards only
+// takes effect at the start of a build, so a build can have a single shard
+// for each time range while several runners are set up to work on it.)
+
+/**
+ * Whether runners working on the given build need to take out leases, as
+ * described above.
+ */
+export function needsLeases(state, config) {
+  const stages = [
+    ...Object.values(state.ranges),
+    state.dailySeries,
+    state.maintainers,
+  ];
+  return (
+    config.workShards > 1 ||
+    stages.some((stage) => stage && stage.workShards.length > 1)
+  );
+}
+
+export function leasePath(id) {
+  return `${WORK_DIR}/${id}.lease.json`;
+}
+
+/**
+ * Whether the lease with the given ID can be claimed by the given runner -
+ * i.e. nobody holds it, or its holder's lease has expired, or the runner holds
+ * it already (e.g. because a previous run crashed).
+ */
+export function isLeaseClaimable(fs, id, runnerId, now = Date.now()) {
+  if (!fs.existsSync(leasePath(id))) {
+    return true;
+  }
+  const lease = JSON.parse(fs.readFileSync(leasePath(id)).toString());
+  return lease.runnerId === runnerId || lease.expiresAtMs <= now;
+}
+
+/**
+ * Tries to claim the lease with the given ID for config.runnerId. Returns
+ * whether we succeeded. If we didn't, the working tree will have been updated
+ * to include whatever other runners have pushed, so the caller should reload
+ * the build state.
+ */
+export async function claimLease({ fs, git, id, config, now = Date.now() }) {
+  if (!isLeaseClaimable(fs, id, config.runnerId, now)) {
+    return false;
+  }
+  await git.add(renewLease(fs, id, config, now));
+  return await git.commitAndPush(`Lease ${id} to ${config.runnerId}`);
+}
+
+/**
+ * Writes the lease with the given ID, for config.runnerId, to expire
+ * config.leaseDurationMs from now, returning the path to pass to git.add to
+ * commit that. The runner must already hold the lease (or be claiming it).
+ */
+export function renewLease(fs, id, config, now = Date.now()) {
+  fs.mkdirSync(WORK_DIR, { recursive: true });
+  fs.writeFileSync(
+    leasePath(id),
+    JSON.stringify({
+      runnerId: config.runnerId,
+      expiresAtMs: now + config.leaseDurationMs,
+    }),
+  );
+  return leasePath(id);
+}
+
+/**
+ * Deletes the lease with the given ID, returning the path to pass to git.add
+ * to commit that.
+ */
+export function releaseLease(fs, id) {
+  fs.rmSync(leasePath(id), { force: true });
+  return leasePath(id);
+}
@@ -0,0 +1,144 @@
+import path from "node:path";
+import os from "node:os";
+import {
+  createInitialState,
+  createDailySeriesState,
+  createMaintainersState,
+  pendingFetchJobs,
+} from "./state.js";
+import { fetchQueuedCounts } from "./fetchCounts.js";
+import {
+  computeRanking,
+  consolidate,
+  countsFilePath,
+  mergeCountsFiles,
+} from "./consolidate.js";
+import { loadPackageNames } from "./nameSources.js";
+import { writeExports } from "./exports.js";
+
+// The public release is built bit by bit over a month, with its state kept on
+// a git branch between runs, because that's the only way to get counts for
+// every package on npm within the API's rate limits. But for a few thousand
+// packages - e.g. a team's own, listed in a file (see nameSources.js), maybe
+// on a private registry with an npm-compatible downloads API (see
+// config.apiHost and config.authToken) - a single run is enough. So if
+// config.outputDir is set, buildAndRelease.js instead does a whole build in
+// one go, keeping its state in memory, and writes the files that a release
+// would contain to that directory, without touching git or npm. (There's no
+// previous release to validate against or extend the history of, and no
+// preview release.)
+
+// We can't recover from a crash partway through a local build - there's no
+// saved state to recover into - so we don't keep a journal (see journal.js).
+const NO_JOURNAL = { record() {} };
+
+/**
+ * Does a whole build of the given version as described above, with the same
+ * dependencies as advanceBuild. Returns the exit code the process should exit
+ * with.
+ */
+export async function buildLocally({
+  version,
+  config,
+  fs,
+  fetch,
+  execFileAsync,
+}) {
+  const outDir = config.outputDir;
+  const primaryTimeRange = config.timeRanges[0];
+  const { packageNames, nameSources } = await loadPackageNames({
+    sources: config.nameSources,
+    fs,
+    fetch,
+    execFileAsync,
+  });
+  const state = createInitialState(packageNames, config.timeRanges, 1);
+  state.nameSources = nameSources;
+
+  // The intermediate counts files are the only thing we keep on disk while
+  // fetching, since that's what consolidate reads the counts from.
+  const tmpDir = fs.mkdtempSync(
+    path.join(os.tmpdir(), "download-counts-local-"),
+  );
+  const useTmpDir = (rangeState) => {
+    for (const workShard of rangeState.workShards) {
+      workShard.countsFilesPrefix = path.join(tmpDir, `${workShard.id}-counts`);
+    }
+    return rangeState;
+  };
+  try {
+    Object.values(state.ranges).forEach(useTmpDir);
+    let intervalMs = config.initialRequestIntervalMs;
+    // Fetches everything that's queued, writing an intermediate counts file
+    // every config.queriesPerRun queries, like a run of the public build.
+    const fetchEverything = async () => {
+      for (;;) {
+        const [job] = pendingFetchJobs(state);
+        if (!job) {
+          return;
+        }
+        const { timeRange, workShard, endpoint, description } = job;
+        console.log("Fetching", description);
+        const counts = {};
+        let metrics;
+        ({ intervalMs, metrics } = await fetchQueuedCounts({
+          state: workShard,
+          timeRange,
+          endpoint,
+          counts,
+          config,
+          fetch,
+          journal: NO_JOURNAL,
+          intervalMs,
+        }));
+        console.log("Rate limiting figures so far:", metrics);
+        fs.writeFileSync(
+          countsFilePath(workShard, workShard.countsFilesSoFar),
+          JSON.stringify(counts),
+        );
+        workShard.countsFilesSoFar++;
+      }
+    };
+
+    await fetchEverything();
+    // As in advanceBuild, once we have the counts for every time range, we
+    // know which packages to fetch daily counts and maintainers for.
+    const primaryCounts = mergeCountsFiles(fs, state.ranges[primaryTimeRange]);
+    const ranking = computeRanking(primaryCounts);
+    state.dailySeries = useTmpDir(
+      createDailySeriesState(ranking.slice(0, config.dailySeriesTopN), 1),
+    );
+    if (config.maintainersTopN > 0) {
+      state.maintainers = useTmpDir(
+        createMaintainersState(ranking.slice(0, config.maintainersTopN), 1),
+      );
+    }
+    await fetchEverything();
+
+    fs.mkdirSync(outDir, { recursive: true });
+    const writtenPaths = await consolidate({
+      fs,
+      state,
+      version,
+      packageName: null,
+      execFileAsync,
+      outDir,
+    });
+    const exportPaths = await writeExports({
+      fs,
+      counts: primaryCounts,
+      ranking,
+      formats: config.exportFormats,
+      outDir,
+    });
+    console.log(
+      "Wrote",
+      [...writtenPaths.map((file) => path.join(outDir, file)), ...exportPaths]
+        .sort()
+        .join(", "),
+    );
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+  return 0;
+}
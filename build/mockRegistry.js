@@ -0,0 +1,348 @@
+import fs from "node:fs";
+import http from "node:http";
+import { parseArgs } from "node:util";
+import { pathToFileURL } from "node:url";
+
+// A local stand-in for the npm API's /downloads endpoints, so that the build
+// process can be run end to end without touching the real API (and its rate
+// limits). Point buildAndRelease.js at it with --api-host, e.g.:
+//
+//   node build/mockRegistry.js --port 8080 &
+//   node buildAndRelease.js --api-host http://localhost:8080 \
+//     --min-request-interval-ms 0 --initial-request-interval-ms 0
+//
+// It also serves the registry's /<package name>/latest endpoint, which the
+// build uses to look up maintainers (see config.maintainersTopN), so you can
+// point --registry-host at it too. And it stands in for a CouchDB replica of
+// the registry, listing the packages in packageNames (or the file named by
+// --names-file, holding a JSON array of names) at / and /_all_docs, so you
+// can get the build's package names from it with
+// --name-sources couchdb:http://localhost:8080 (see nameSources.js). Unlike
+// the rest of the mock, that part never emulates any misbehaviour.
+//
+// Download counts and maintainers are made up, but deterministic: every
+// package exists and has a count derived from a hash of its name, except that
+// the mock emulates each of the awkward behaviours of the real API that the
+// build has to handle, triggered as follows:
+// * Any request whose URL is longer than maxUrlLength gets a 400 "Request
+//   Header Or Cookie Too Large" error.
+// * Any request whose raw (not percent-decoded) URL contains "waf-trigger"
+//   gets a 403 page, like the real API's WAF gives for some package names. So
+//   percent-encoding the name is enough to get past this one.
+// * Any request for a package whose name contains "always-blocked" gets a 403
+//   page, however it's encoded.
+// * Packages whose names (ignoring any scope) start with "unpublished-" don't
+//   exist, so get a 404 when queried individually and a null when queried in
+//   bulk.
+// * If rateLimitEvery is set, every rateLimitEvery-th request gets a 429, with
+//   a Retry-After header of retryAfterSeconds (or no Retry-After header, like
+//   the real API nowadays, if that's 0).
+// * If challengeEvery is set, every challengeEvery-th request gets a 403 with
+//   a "cf-mitigated: challenge" header, like Cloudflare gives when it wants to
+//   check that the client is a real browser (which in practice means we're
+//   sending requests too fast).
+
+const MAX_BULK_PACKAGES = 128;
+
+const DEFAULT_OPTIONS = {
+  maxUrlLength: 8192,
+  rateLimitEvery: 0,
+  retryAfterSeconds: 1,
+  challengeEvery: 0,
+  packageNames: [
+    "react",
+    "lodash",
+    "@babel/core",
+    "@types/node",
+    "waf-trigger-example",
+    "@scope/waf-trigger-example",
+    "always-blocked-example",
+    "unpublished-example",
+    "@scope/unpublished-example",
+    "@scope/..",
+  ],
+};
+
+/**
+ * Creates (but doesn't start) an HTTP server emulating the npm downloads API.
+ */
+export function createMockRegistry(options = {}) {
+  const {
+    maxUrlLength,
+    rateLimitEvery,
+    retryAfterSeconds,
+    challengeEvery,
+    packageNames: allPackageNames,
+  } = {
+    ...DEFAULT_OPTIONS,
+    ...options,
+  };
+  // (CouchDB sorts _all_docs by ID, comparing code units, like this does.)
+  const sortedPackageNames = [...allPackageNames].sort();
+  let nRequests = 0;
+
+  return http.createServer((req, res) => {
+    const sendJson = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname == "/") {
+      sendJson(200, {
+        db_name: "registry",
+        doc_count: sortedPackageNames.length,
+        update_seq: `${sortedPackageNames.length}-mock`,
+      });
+      return;
+    }
+    if (url.pathname == "/_all_docs") {
+      sendJson(200, listDocs(sortedPackageNames, url.searchParams));
+      return;
+    }
+
+    nRequests++;
+    const sendHtml = (status, body) => {
+      res.writeHead(status, { "Content-Type": "text/html" });
+      res.end(`<html><body>${body}</body></html>`);
+    };
+
+    if (rateLimitEvery && nRequests % rateLimitEvery == 0) {
+      const headers = retryAfterSeconds
+        ? { "Retry-After": String(retryAfterSeconds) }
+        : {};
+      res.writeHead(429, headers);
+      res.end("Too Many Requests");
+      return;
+    }
+    if (challengeEvery && nRequests % challengeEvery == 0) {
+      res.writeHead(403, {
+        "Content-Type": "text/html",
+        "cf-mitigated": "challenge",
+      });
+      res.end("<html><body>Just a moment...</body></html>");
+      return;
+    }
+    if (req.url.length > maxUrlLength) {
+      sendHtml(400, "<h1>400 Request Header Or Cookie Too Large</h1>");
+      return;
+    }
+    if (req.url.includes("waf-trigger")) {
+      sendHtml(403, "Sorry, you have been blocked");
+      return;
+    }
+
+    const manifestMatch = req.url.match(/^\/((?:@[^/]+\/)?[^/]+)\/latest$/);
+    if (manifestMatch) {
+      const name = decodeURIComponent(manifestMatch[1]);
+      if (name.includes("always-blocked")) {
+        sendHtml(403, "Sorry, you have been blocked");
+      } else if (isUnpublished(name)) {
+        sendJson(404, { error: "Not found" });
+      } else {
+        sendJson(200, packageManifest(name));
+      }
+      return;
+    }
+
+    const match = req.url.match(/^\/downloads\/(point|range)\/([^/]+)\/(.+)$/);
+    if (!match) {
+      sendJson(404, { error: "not found" });
+      return;
+    }
+    const [, endpoint, periodStr, packagesStr] = match;
+    const period = parsePeriod(periodStr);
+    if (!period) {
+      sendJson(400, { error: "Invalid period specified" });
+      return;
+    }
+    const packageNames = decodeURIComponent(packagesStr).split(",");
+    if (packageNames.some((name) => name.includes("always-blocked"))) {
+      sendHtml(403, "Sorry, you have been blocked");
+      return;
+    }
+
+    if (packageNames.length == 1) {
+      const [name] = packageNames;
+      if (isUnpublished(name)) {
+        sendJson(404, { error: `package ${name} not found` });
+        return;
+      }
+      sendJson(200, packageDownloads(endpoint, period, name));
+      return;
+    }
+
+    if (packageNames.length > MAX_BULK_PACKAGES) {
+      sendJson(400, {
+        error: `bulk queries are limited to ${MAX_BULK_PACKAGES} packages`,
+      });
+      return;
+    }
+    if (packageNames.some((name) => name.startsWith("@"))) {
+      sendJson(400, {
+        error: "scoped packages not supported for bulk queries",
+      });
+      return;
+    }
+    const body = {};
+    for (const name of packageNames) {
+      body[name] = isUnpublished(name)
+        ? null
+        : packageDownloads(endpoint, period, name);
+    }
+    sendJson(200, body);
+  });
+}
+
+// A page of CouchDB's _all_docs response, supporting the query parameters
+// nameSources.js uses.
+function listDocs(sortedIds, searchParams) {
+  let start = 0;
+  if (searchParams.has("startkey")) {
+    const startKey = JSON.parse(searchParams.get("startkey"));
+    start = sortedIds.findIndex((id) => id >= startKey);
+    if (start == -1) {
+      start = sortedIds.length;
+    }
+  }
+  start += Number(searchParams.get("skip") ?? 0);
+  const limit = Number(searchParams.get("limit") ?? sortedIds.length);
+  return {
+    total_rows: sortedIds.length,
+    offset: start,
+    rows: sortedIds.slice(start, start + limit).map((id) => ({
+      id,
+      key: id,
+      value: { rev: `1-${hash(id).toString(16)}` },
+    })),
+  };
+}
+
+/**
+ * Converts a period as accepted by the downloads API into the list of days
+ * (as YYYY-MM-DD strings) it covers, or null if it's invalid.
+ */
+function parsePeriod(periodStr) {
+  const MS_PER_DAY = 24 * 60 * 60 * 1000;
+  const relativePeriods = {
+    "last-day": 1,
+    "last-week": 7,
+    "last-month": 30,
+    "last-year": 365,
+  };
+  let startMs;
+  let endMs;
+  if (Object.hasOwn(relativePeriods, periodStr)) {
+    const today = new Date();
+    endMs =
+      Date.UTC(
+        today.getUTCFullYear(),
+        today.getUTCMonth(),
+        today.getUTCDate(),
+      ) - MS_PER_DAY;
+    startMs = endMs - (relativePeriods[periodStr] - 1) * MS_PER_DAY;
+  } else {
+    const match = periodStr.match(/^(\d{4}-\d{2}-\d{2}):(\d{4}-\d{2}-\d{2})$/);
+    if (!match) {
+      return null;
+    }
+    startMs = Date.parse(match[1]);
+    endMs = Date.parse(match[2]);
+    if (isNaN(startMs) || isNaN(endMs) || startMs > endMs) {
+      return null;
+    }
+  }
+  const days = [];
+  for (let ms = startMs; ms <= endMs; ms += MS_PER_DAY) {
+    days.push(new Date(ms).toISOString().slice(0, 10));
+  }
+  return days;
+}
+
+function packageDownloads(endpoint, days, name) {
+  const start = days[0];
+  const end = days.at(-1);
+  const daily = days.map((day) => ({
+    downloads: dailyDownloads(name, day),
+    day,
+  }));
+  if (endpoint == "range") {
+    return { start, end, package: name, downloads: daily };
+  }
+  const downloads = daily.reduce((total, day) => total + day.downloads, 0);
+  return { downloads, start, end, package: name };
+}
+
+function packageManifest(name) {
+  // A handful of maintainers between them maintain everything, some packages
+  // jointly:
+  const maintainers = [`maintainer-${hash(name) % 20}`];
+  if (hash(name) % 3 == 0) {
+    maintainers.push(`maintainer-${hash(`${name}:2`) % 20}`);
+  }
+  return {
+    name,
+    version: "1.0.0",
+    maintainers: maintainers.map((username) => ({
+      name: username,
+      email: `${username}@example.com`,
+    })),
+  };
+}
+
+function isUnpublished(name) {
+  return name.split("/").at(-1).startsWith("unpublished-");
+}
+
+function dailyDownloads(name, day) {
+  // Skewed so that most packages get few downloads and a few get lots, like
+  // the real thing, with some day-to-day noise on top:
+  const typical = 2 ** ((hash(name) % 2000) / 100) - 1;
+  return Math.floor(typical * (0.5 + (hash(`${name}:${day}`) % 100) / 100));
+}
+
+function hash(str) {
+  // FNV-1a, which is plenty good enough for making up numbers:
+  let result = 0x811c9dc5;
+  for (const char of str) {
+    result ^= char.codePointAt(0);
+    result = Math.imul(result, 0x01000193) >>> 0;
+  }
+  return result;
+}
+
+if (
+  process.argv[1] &&
+  import.meta.url === pathToFileURL(process.argv[1]).href
+) {
+  const { values } = parseArgs({
+    options: {
+      port: { type: "string", default: "8080" },
+      "max-url-length": { type: "string" },
+      "rate-limit-every": { type: "string" },
+      "retry-after-seconds": { type: "string" },
+      "challenge-every": { type: "string" },
+      "names-file": { type: "string" },
+    },
+  });
+  const options = {};
+  for (const [flag, key] of [
+    ["max-url-length", "maxUrlLength"],
+    ["rate-limit-every", "rateLimitEvery"],
+    ["retry-after-seconds", "retryAfterSeconds"],
+    ["challenge-every", "challengeEvery"],
+  ]) {
+    if (values[flag] != null) {
+      options[key] = Number(values[flag]);
+    }
+  }
+  if (values["names-file"] != null) {
+    options.packageNames = JSON.parse(
+      fs.readFileSync(values["names-file"]).toString(),
+    );
+  }
+  const port = Number(values.port);
+  createMockRegistry(options).listen(port, () => {
+    console.log(`Mock npm downloads API listening on http://localhost:${port}`);
+  });
+}
@@ -0,0 +1,177 @@
+import { createHash } from "node:crypto";
+import path from "node:path";
+import os from "node:os";
+
+// Where the build gets the list of package names to fetch counts for, as
+// configured by config.nameSources - a list of sources, whose lists get
+// combined, so that e.g. a list of packages from a private registry can be
+// added to the public ones. Each source is described by a string in one of
+// these forms:
+// * all-the-package-names, or all-the-package-names@<version> - the list
+//   published in the all-the-package-names package (the latest version, by
+//   default)
+// * couchdb:<database URL> - every document in a CouchDB replica of the
+//   registry (like the one at https://replicate.npmjs.com/registry), as
+//   listed by its _all_docs endpoint. The mock registry (see
+//   mockRegistry.js) can stand in for one when testing.
+// * file:<path> - a file holding either a JSON array of names or one name per
+//   line
+//
+// We record which sources a build's list came from, and which version of
+// each - the package's version, the database's update_seq, or a hash of the
+// file - in the build's state, and then publish that in METADATA_PATH (see
+// consolidate.js), so that consumers can tell exactly what a release covers.
+
+const ALL_THE_PACKAGE_NAMES = "all-the-package-names";
+
+// How many documents we ask a CouchDB replica for at once:
+const COUCHDB_PAGE_SIZE = 10000;
+
+const SOURCE_TYPES = {
+  [ALL_THE_PACKAGE_NAMES]: {
+    isValid: (arg) => arg === "" || /^@[^\s,@]+$/.test(arg),
+    load: loadAllThePackageNames,
+  },
+  couchdb: {
+    isValid: (arg) => /^https?:\/\/\S+$/.test(arg),
+    load: loadCouchDbNames,
+  },
+  file: {
+    isValid: (arg) => arg !== "",
+    load: loadFileNames,
+  },
+};
+
+function parseNameSource(source) {
+  if (source.startsWith(ALL_THE_PACKAGE_NAMES)) {
+    return [ALL_THE_PACKAGE_NAMES, source.slice(ALL_THE_PACKAGE_NAMES.length)];
+  }
+  const colonIndex = source.indexOf(":");
+  return colonIndex == -1
+    ? [source, ""]
+    : [source.slice(0, colonIndex), source.slice(colonIndex + 1)];
+}
+
+/**
+ * Whether the given string describes a source of package names, in one of
+ * the forms described above.
+ */
+export function isValidNameSource(source) {
+  const [type, arg] = parseNameSource(source);
+  return Object.hasOwn(SOURCE_TYPES, type) && SOURCE_TYPES[type].isValid(arg);
+}
+
+/**
+ * Fetches the list of package names from each of the given sources, returning
+ * the union of them all as `packageNames`, and a record of where they came
+ * from as `nameSources`: an array with an object for each source, with its
+ * `source` string, the `version` of it we got, and its `packageCount`.
+ */
+export async function loadPackageNames({ sources, fs, fetch, execFileAsync }) {
+  const packageNames = new Set();
+  const nameSources = [];
+  for (const source of sources) {
+    const [type, arg] = parseNameSource(source);
+    const { names, version } = await SOURCE_TYPES[type].load(arg, {
+      fs,
+      fetch,
+      execFileAsync,
+    });
+    console.log("Got", names.length, "package names from", source);
+    for (const name of names) {
+      packageNames.add(name);
+    }
+    nameSources.push({ source, version, packageCount: names.length });
+  }
+  return { packageNames: [...packageNames], nameSources };
+}
+
+async function loadAllThePackageNames(versionSuffix, { fs, execFileAsync }) {
+  const spec = `${ALL_THE_PACKAGE_NAMES}${versionSuffix || "@latest"}`;
+  // We install it into a temporary directory, rather than the working
+  // directory, which (e.g. for a local build; see localBuild.js) could be
+  // someone's own project, whose package.json and lockfile npm would update.
+  const tmpDir = fs.mkdtempSync(
+    path.join(os.tmpdir(), "download-counts-names-"),
+  );
+  try {
+    await execFileAsync("npm", ["install", "--prefix", tmpDir, spec]);
+
+    // Normally you'd just `import "all-the-package-names"` to use it, but
+    // since we're installing it dynamically when our (ESM) script is already
+    // running, we can't, so we reach into its innards ourselves instead:
+    const dir = path.join(tmpDir, "node_modules", ALL_THE_PACKAGE_NAMES);
+    return {
+      names: JSON.parse(fs.readFileSync(path.join(dir, "names.json"))),
+      version: JSON.parse(fs.readFileSync(path.join(dir, "package.json")))
+        .version,
+    };
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+async function loadCouchDbNames(dbUrl, { fetch }) {
+  dbUrl = dbUrl.replace(/\/+$/, "");
+  const getJson = async (url) => {
+    const resp = await fetch(url);
+    if (!resp.ok) {
+      throw new Error(`Got ${resp.status} from CouchDB replica at ${url}`);
+    }
+    return await resp.json();
+  };
+
+  // (We get update_seq first, so that the list is at least as up to date as
+  // the version we record.)
+  const { update_seq: version } = await getJson(dbUrl);
+  const names = [];
+  let lastKey = null;
+  for (;;) {
+    // CouchDB's recommended way to page through _all_docs is to start each
+    // page at the last key of the previous one, skipping that one:
+    let url = `${dbUrl}/_all_docs?limit=${COUCHDB_PAGE_SIZE}`;
+    if (lastKey !== null) {
+      url += `&startkey=${encodeURIComponent(JSON.stringify(lastKey))}&skip=1`;
+    }
+    const { rows } = await getJson(url);
+    for (const { id } of rows) {
+      // (Design documents hold the database's views and so on, not packages.)
+      if (!id.startsWith("_design/")) {
+        names.push(id);
+      }
+    }
+    if (rows.length < COUCHDB_PAGE_SIZE) {
+      break;
+    }
+    lastKey = rows.at(-1).key;
+  }
+  return { names, version };
+}
+
+async function loadFileNames(filePath, { fs }) {
+  const contents = fs.readFileSync(filePath).toString();
+  let names;
+  if (contents.trimStart().startsWith("[")) {
+    try {
+      names = JSON.parse(contents);
+    } catch (e) {
+      throw new Error(`${filePath} looks like JSON, but isn't valid JSON`, {
+        cause: e,
+      });
+    }
+    if (!names.every((name) => typeof name == "string" && name != "")) {
+      throw new Error(
+        `${filePath} must hold a JSON array of package names, all non-empty strings`,
+      );
+    }
+  } else {
+    names = contents
+      .split("\n")
+      .map((line) => line.trim())
+      .filter((line) => line != "");
+  }
+  return {
+    names,
+    version: `sha256:${createHash("sha256").update(contents).digest("hex")}`,
+  };
+}
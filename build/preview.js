@@ -0,0 +1,92 @@
+import path from "node:path";
+import os from "node:os";
+import { computeRanking, consolidate } from "./consolidate.js";
+
+// A full build takes weeks, but if we fetch the most downloaded packages
+// first (see config.prioritizeByPreviousRelease), the counts we have after
+// the first day or so are already enough for most uses. So as soon as we have
+// counts for the config.previewTopN packages that were most downloaded in the
+// previous release, we publish what we've got so far as a prerelease version,
+// under the PREVIEW_DIST_TAG dist-tag, while the build carries on filling in
+// the long tail. The state of the build records which packages the preview is
+// waiting for, and whether it's been published yet, in its `preview` property.
+
+export const PREVIEW_DIST_TAG = "preview";
+
+/**
+ * The initial state of the preview, given the counts from the previous
+ * release.
+ */
+export function createPreviewState(previousCounts, topN) {
+  return {
+    packages: computeRanking(previousCounts).slice(0, topN),
+    published: false,
+  };
+}
+
+/**
+ * Whether we've finished with every package the preview is waiting for, in
+ * the primary time range - i.e. none of them are still queued.
+ */
+export function isPreviewReady(state) {
+  const [primaryTimeRange] = Object.keys(state.ranges);
+  const awaited = new Set(state.preview.packages);
+  for (const workShard of state.ranges[primaryTimeRange].workShards) {
+    const queuedPackages = [
+      ...workShard.singlePackages,
+      ...workShard.unscopedPackageBatches.flat(),
+      ...workShard.status403Packages,
+    ];
+    if (queuedPackages.some((name) => awaited.has(name))) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Publishes the counts we've fetched so far to npm, as a prerelease of the
+ * given version tagged with PREVIEW_DIST_TAG. pkgJson is the contents of our
+ * package.json.
+ */
+export async function publishPreview({
+  fs,
+  state,
+  version,
+  pkgJson,
+  execFileAsync,
+}) {
+  const previewVersion = `${version}-preview`;
+  // We can't write the files we publish to the working directory, like we do
+  // for a full release, since that would make the next run think that the
+  // build is finished (see advanceBuild.js). So we assemble the package in a
+  // temporary directory instead.
+  const outDir = fs.mkdtempSync(
+    path.join(os.tmpdir(), "download-counts-preview-"),
+  );
+  try {
+    await consolidate({
+      fs,
+      state,
+      version: previewVersion,
+      packageName: pkgJson.name,
+      execFileAsync,
+      outDir,
+    });
+    // Everything else we publish (i.e. the code) comes straight from the
+    // working directory:
+    for (const file of [...pkgJson.files, "README.md"]) {
+      if (fs.existsSync(file) && !fs.existsSync(path.join(outDir, file))) {
+        fs.cpSync(file, path.join(outDir, file), { recursive: true });
+      }
+    }
+    fs.writeFileSync(
+      path.join(outDir, "package.json"),
+      JSON.stringify({ ...pkgJson, version: previewVersion }, null, 2),
+    );
+    await execFileAsync("npm", ["publish", outDir, "--tag", PREVIEW_DIST_TAG]);
+  } finally {
+    fs.rmSync(outDir, { recursive: true, force: true });
+  }
+  return previewVersion;
+}
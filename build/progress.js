@@ -0,0 +1,349 @@
+import { BULK_QUERY_BATCH_SIZE, WORK_DIR } from "./state.js";
+import { MAX_REQUEST_ERRORS, createRequestTallies } from "./fetchCounts.js";
+
+// A build takes weeks, over hundreds of runs, so to make it possible to see
+// how it's going without trawling through the logs of every run, each run that
+// fetches counts (or publishes the release, or refuses to) writes a progress
+// report, as a JSON file in WORK_DIR that gets committed to the build branch
+// along with the rest of the run's work. Like the rate limiter state (see
+// saveRateLimiterState in state.js), there's a separate file for each runner,
+// so that runners working on the build at once never modify the same file.
+// The report has these properties:
+// * version, runnerId, generatedAt - which build and runner it's from, and
+//   when
+// * run - what this run did: a `description`, its `outcome` (see OUTCOMES),
+//   the `error` that stopped it, if any, and what it tallied while fetching
+//   (see createRequestTallies in fetchCounts.js), including how close it got
+//   to the limit on unexpected errors (`maxUnexpectedErrors`)
+// * totals - the same tallies, summed over every run of this runner on the
+//   build, plus when the first of them was (`firstRunAt`) and how many there
+//   have been (`runs`)
+// * stages - for each time range, and for the daily counts and maintainers
+//   once they've been queued, how much work is left: how many batches,
+//   single packages and 403ed packages are still queued, across how many work
+//   shards, and how many intermediate counts files have been written
+// * remainingWorkItems - an estimate of how many more work items (batches or
+//   single packages) there are to fetch, including for stages not yet queued
+// * estimatedCompletion - when we expect to finish fetching everything at
+//   the rate all the runners have managed so far, or null if we can't tell
+//   yet. (This is only rough, since batches that get 403s are split up into
+//   more work items, and the rate limit changes from time to time.)
+// * runsWithoutProgress - how many runs in a row (of this runner's) have
+//   fetched counts without completing a single work item, e.g. because every
+//   request is getting rate limited
+// * stalled - whether the run failed in a way that means the build won't
+//   make progress until someone looks at it, or runsWithoutProgress has
+//   reached MAX_RUNS_WITHOUT_PROGRESS
+//
+// The report also gets appended, as Markdown, to config.jobSummaryPath -
+// which GitHub Actions displays on the page for the workflow run - and
+// certain events (see createNotification) get posted to config.webhookUrl.
+
+export const OUTCOMES = {
+  // We fetched some counts:
+  FETCHED: "fetched",
+  // Fetching counts threw an error (but we still saved what we got done):
+  FAILED: "failed",
+  // One of the steps that happens once per build - consolidating the counts,
+  // exporting them, or publishing them (or a preview) - threw an error:
+  FAILED_STEP: "failedStep",
+  // The release failed validation, so we didn't publish it (see validate.js):
+  FAILED_VALIDATION: "failedValidation",
+  PUBLISHED: "published",
+};
+
+const STALLED_OUTCOMES = [
+  OUTCOMES.FAILED,
+  OUTCOMES.FAILED_VALIDATION,
+  OUTCOMES.FAILED_STEP,
+];
+const FETCHING_OUTCOMES = [OUTCOMES.FETCHED, OUTCOMES.FAILED];
+
+// A single run that completes nothing could just be unlucky (e.g. catching a
+// burst of rate limiting), but several in a row means something's wrong.
+const MAX_RUNS_WITHOUT_PROGRESS = 3;
+
+const PROGRESS_REPORT_SUFFIX = ".progress.json";
+
+function progressReportPath(runnerId) {
+  return `${WORK_DIR}/${runnerId}${PROGRESS_REPORT_SUFFIX}`;
+}
+
+/**
+ * The last progress report the given runner wrote, or null if it hasn't
+ * written one for this build.
+ */
+export function loadProgressReport(fs, runnerId) {
+  if (!fs.existsSync(progressReportPath(runnerId))) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(progressReportPath(runnerId)).toString());
+}
+
+/**
+ * The progress report (as described above) for a run that did what `run`
+ * says: an object with a `description`, an `outcome`, and optionally the
+ * `error` that stopped it and the `tallies` it kept while fetching.
+ */
+export function createProgressReport({
+  fs,
+  state,
+  config,
+  version,
+  run,
+  now = Date.now,
+}) {
+  const previousReport = loadProgressReport(fs, config.runnerId);
+  const tallies = run.tallies ?? createRequestTallies();
+  const previousTotals = previousReport?.totals ?? {
+    firstRunAt: new Date(now()).toISOString(),
+    runs: 0,
+    itemsCompleted: 0,
+    responsesByStatus: {},
+    unexpectedErrors: 0,
+  };
+  const totals = {
+    firstRunAt: previousTotals.firstRunAt,
+    runs: previousTotals.runs + 1,
+    itemsCompleted: previousTotals.itemsCompleted + tallies.itemsCompleted,
+    responsesByStatus: { ...previousTotals.responsesByStatus },
+    unexpectedErrors:
+      previousTotals.unexpectedErrors + tallies.unexpectedErrors,
+  };
+  for (const [status, n] of Object.entries(tallies.responsesByStatus)) {
+    totals.responsesByStatus[status] =
+      (totals.responsesByStatus[status] ?? 0) + n;
+  }
+
+  let runsWithoutProgress = previousReport?.runsWithoutProgress ?? 0;
+  if (FETCHING_OUTCOMES.includes(run.outcome)) {
+    runsWithoutProgress =
+      tallies.itemsCompleted == 0 ? runsWithoutProgress + 1 : 0;
+  }
+
+  const stages = [];
+  for (const [timeRange, rangeState] of Object.entries(state.ranges)) {
+    stages.push(summarizeStage(timeRange, rangeState));
+  }
+  if (state.dailySeries) {
+    stages.push(summarizeStage("daily", state.dailySeries));
+  }
+  if (state.maintainers) {
+    stages.push(summarizeStage("maintainers", state.maintainers));
+  }
+  let remainingWorkItems = stages.reduce(
+    (sum, stage) =>
+      sum +
+      stage.unscopedPackageBatches +
+      stage.singlePackages +
+      stage.status403Packages,
+    0,
+  );
+  // (Stages we haven't queued yet will have at least this many work items;
+  // see createDailySeriesState and createMaintainersState.)
+  if (!state.dailySeries) {
+    remainingWorkItems +=
+      Math.ceil(config.dailySeriesTopN / BULK_QUERY_BATCH_SIZE) +
+      config.maintainersTopN;
+  }
+
+  const report = {
+    version,
+    runnerId: config.runnerId,
+    generatedAt: new Date(now()).toISOString(),
+    run: {
+      description: run.description,
+      outcome: run.outcome,
+      ...(run.error ? { error: String(run.error.message ?? run.error) } : {}),
+      ...tallies,
+      maxUnexpectedErrors: MAX_REQUEST_ERRORS,
+    },
+    totals,
+    stages,
+    remainingWorkItems,
+    estimatedCompletion: null,
+    runsWithoutProgress,
+    stalled:
+      STALLED_OUTCOMES.includes(run.outcome) ||
+      runsWithoutProgress >= MAX_RUNS_WITHOUT_PROGRESS,
+  };
+  report.estimatedCompletion = estimateCompletion(fs, report, now);
+  return report;
+}
+
+function summarizeStage(name, rangeState) {
+  const stage = {
+    name,
+    workShards: rangeState.workShards.length,
+    unscopedPackageBatches: 0,
+    singlePackages: 0,
+    status403Packages: 0,
+    countsFilesWritten: 0,
+  };
+  for (const workShard of rangeState.workShards) {
+    stage.unscopedPackageBatches += workShard.unscopedPackageBatches.length;
+    stage.singlePackages += workShard.singlePackages.length;
+    stage.status403Packages += workShard.status403Packages.length;
+    stage.countsFilesWritten += workShard.countsFilesSoFar;
+  }
+  return stage;
+}
+
+// We estimate the rate the build is going at from the totals in every
+// runner's latest report (with this run's report standing in for this
+// runner's), i.e. as the work items completed by all of them since the first
+// of them started.
+function estimateCompletion(fs, report, now) {
+  if (report.remainingWorkItems == 0) {
+    return new Date(now()).toISOString();
+  }
+  const reports = [report];
+  for (const filename of fs.readdirSync(WORK_DIR)) {
+    if (
+      filename.endsWith(PROGRESS_REPORT_SUFFIX) &&
+      filename != `${report.runnerId}${PROGRESS_REPORT_SUFFIX}`
+    ) {
+      reports.push(
+        JSON.parse(fs.readFileSync(`${WORK_DIR}/${filename}`).toString()),
+      );
+    }
+  }
+  const itemsCompleted = reports.reduce(
+    (sum, { totals }) => sum + totals.itemsCompleted,
+    0,
+  );
+  const startMs = Math.min(
+    ...reports.map(({ totals }) => Date.parse(totals.firstRunAt)),
+  );
+  const elapsedMs = now() - startMs;
+  if (itemsCompleted == 0 || elapsedMs <= 0) {
+    return null;
+  }
+  return new Date(
+    now() + (report.remainingWorkItems * elapsedMs) / itemsCompleted,
+  ).toISOString();
+}
+
+/**
+ * Writes the given progress report to the runner's file, appends it to the
+ * job summary, and posts a notification to the webhook if it calls for one,
+ * as described at the top of this file. Returns the path to pass to git.add
+ * to commit the report.
+ */
+export async function emitProgressReport({ fs, fetch, config, report }) {
+  const previousReport = loadProgressReport(fs, config.runnerId);
+  const path = progressReportPath(config.runnerId);
+  fs.mkdirSync(WORK_DIR, { recursive: true });
+  fs.writeFileSync(path, JSON.stringify(report, null, 2));
+
+  if (config.jobSummaryPath) {
+    fs.appendFileSync(config.jobSummaryPath, formatProgressSummary(report));
+  }
+
+  const notification = createNotification(report, previousReport);
+  if (config.webhookUrl && notification) {
+    // A notification that fails to send isn't worth failing the run over.
+    try {
+      const resp = await fetch(config.webhookUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(notification),
+      });
+      if (!resp.ok) {
+        console.error("Webhook responded with status", resp.status);
+      }
+    } catch (e) {
+      console.error("Failed to post to webhook:", e);
+    }
+  }
+  return path;
+}
+
+// We notify the webhook when the build stalls - but only the first time, not
+// on every run until someone fixes it (unless it gets stuck in a different
+// way, e.g. publishing fails after someone overrides a failed validation) -
+// and when it finishes. The `text` property means the notification can be
+// posted straight to e.g. a Slack incoming webhook.
+function createNotification(report, previousReport) {
+  if (report.run.outcome == OUTCOMES.PUBLISHED) {
+    return {
+      event: "finished",
+      text: `download-counts ${report.version} has been published to npm.`,
+      report,
+    };
+  }
+  if (
+    report.stalled &&
+    !(
+      previousReport?.stalled &&
+      previousReport.run.outcome == report.run.outcome
+    )
+  ) {
+    return {
+      event: "stalled",
+      text:
+        `The build of download-counts ${report.version} has stalled on ` +
+        `runner ${report.runnerId}: ${report.run.error ?? describeNoProgress(report)}`,
+      report,
+    };
+  }
+  return null;
+}
+
+function describeNoProgress(report) {
+  return `no work items completed in the last ${report.runsWithoutProgress} runs`;
+}
+
+/**
+ * The given progress report, as Markdown for a GitHub Actions job summary.
+ */
+export function formatProgressSummary(report) {
+  const { run, totals } = report;
+  const lines = [`### Build of ${report.version}: ${run.description}`, ""];
+  if (run.error) {
+    lines.push(`**This run failed:** ${run.error}`, "");
+  }
+  if (report.runsWithoutProgress > 1) {
+    lines.push(`**Stuck:** ${describeNoProgress(report)}`, "");
+  }
+  lines.push(
+    "| Stage | Work shards | Batches left | Packages left | 403s left | Counts files written |",
+    "| --- | ---: | ---: | ---: | ---: | ---: |",
+  );
+  for (const stage of report.stages) {
+    lines.push(
+      `| ${stage.name} | ${stage.workShards} | ${stage.unscopedPackageBatches} | ${stage.singlePackages} | ${stage.status403Packages} | ${stage.countsFilesWritten} |`,
+    );
+  }
+  lines.push("");
+  if (run.outcome == OUTCOMES.FETCHED || run.outcome == OUTCOMES.FAILED) {
+    lines.push(
+      `- **This run:** ${run.itemsCompleted} work items completed; ` +
+        `responses: ${formatStatuses(run.responsesByStatus)}; ` +
+        `${run.unexpectedErrors} unexpected errors (of the ` +
+        `${run.maxUnexpectedErrors} allowed)`,
+    );
+  }
+  lines.push(
+    `- **Runner ${report.runnerId} in total** (${totals.runs} runs since ` +
+      `${totals.firstRunAt}): ${totals.itemsCompleted} work items ` +
+      `completed; responses: ${formatStatuses(totals.responsesByStatus)}; ` +
+      `${totals.unexpectedErrors} unexpected errors`,
+    report.remainingWorkItems == 0
+      ? "- **Remaining:** nothing left to fetch"
+      : `- **Remaining:** about ${report.remainingWorkItems} work items; ` +
+          (report.estimatedCompletion
+            ? `estimated to finish fetching at ${report.estimatedCompletion}`
+            : "too early to estimate when fetching will finish"),
+    "",
+  );
+  return lines.join("\n") + "\n";
+}
+
+function formatStatuses(responsesByStatus) {
+  const entries = Object.entries(responsesByStatus);
+  if (entries.length == 0) {
+    return "none";
+  }
+  return entries.map(([status, n]) => `${status} ×${n}`).join(", ");
+}
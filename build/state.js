@@ -0,0 +1,478 @@
+import { timeRangeSlug } from "../ranges.js";
+
+// File we use to record (on a branch in source control) the progress of the
+// build process, which takes place over many invocations of buildAndRelease.js.
+// It contains an object with a `ranges` property mapping each time range we're
+// fetching counts for (see config.js) to the progress of fetching counts for
+// that range. The primary time range comes first. Once we're done with all of
+// those, it also gets a `dailySeries` property, with the same structure,
+// tracking our progress fetching daily download counts for the most popular
+// packages (see createDailySeriesState), and possibly a `maintainers`
+// property, tracking our progress fetching their maintainers (see
+// createMaintainersState).
+export const STATE_PATH = "state.json";
+
+// The work of fetching the counts for each time range is split into one or
+// more work shards (config.workShards), so that several runners - each with
+// their own IP address and thus their own rate limit - can work on the build
+// at once, each claiming a different work shard (see leases.js). In
+// STATE_PATH, each time range just lists the IDs of its work shards in a
+// `workShards` property; the state of each shard - i.e. the queues of
+// packages still to query, and so on - lives in its own file in WORK_DIR, so
+// that runners working on different shards never modify the same files. When
+// loaded (by loadState), the IDs get replaced by the shards' states.
+export const WORK_DIR = "work";
+//
+// WORK_DIR also holds a file for each runner recording the rate that runner
+// has learned it can send requests to the API at (see throttle.js). Since
+// each runner has its own rate limit, these are kept separate too.
+
+// Reasons we might not have a download count for a package, which we record
+// in the packageStatuses of each range's state (and ultimately publish - see
+// consolidate.js):
+export const PACKAGE_STATUSES = {
+  // We got a 404 (or a null in a bulk response) from the API, which almost
+  // always means the package was unpublished before we got to it:
+  UNPUBLISHED: "unpublished",
+  // The API's WAF refused every way we tried to ask for the count:
+  BLOCKED: "blocked",
+  // We deliberately never asked, because it's impossible to get a meaningful
+  // answer from the API (see the '..' filtering in createInitialState):
+  FILTERED: "filtered",
+};
+
+// Maximum number of packages that can be listed in a single bulk query to the
+// npm API's download endpoint, per
+// https://github.com/npm/registry/blob/main/docs/download-counts.md
+export const BULK_QUERY_BATCH_SIZE = 128;
+
+/**
+ * The state of a build that hasn't fetched any download counts yet, for the
+ * given list of package names and time ranges, with the work for each time
+ * range split into nWorkShards shards. If previousCounts (the counts object
+ * from the previous release) is given, the most downloaded packages in it get
+ * fetched first, so that even a partial build is useful (see preview.js).
+ */
+export function createInitialState(
+  packageNames,
+  timeRanges,
+  nWorkShards,
+  previousCounts = null,
+) {
+  if (previousCounts) {
+    // (We take work from the END of each queue, so this puts the most
+    // downloaded packages last. Packages that weren't in the previous release
+    // at all are mostly new, and therefore mostly unpopular.)
+    packageNames = [...packageNames].sort(
+      (name1, name2) =>
+        (previousCounts[name1] ?? 0) - (previousCounts[name2] ?? 0),
+    );
+  }
+  const ranges = {};
+  for (const timeRange of timeRanges) {
+    ranges[timeRange] = {
+      workShards: createWorkShards(
+        timeRangeSlug(timeRange),
+        packageNames,
+        nWorkShards,
+      ),
+    };
+  }
+  return { ranges };
+}
+
+/**
+ * The state of fetching daily download counts (over the primary time range)
+ * for the given packages, which should be the most downloaded ones. Unlike
+ * the counts for each time range, which come from the API's /downloads/point
+ * endpoint, these come from /downloads/range, which is too expensive to query
+ * for every package.
+ */
+export function createDailySeriesState(packageNames, nWorkShards) {
+  return { workShards: createWorkShards("daily", packageNames, nWorkShards) };
+}
+
+/**
+ * The state of fetching the maintainers of the given packages from the
+ * registry (see config.registryHost), so that we can publish totals for each
+ * maintainer (see consolidate.js). We only do this for the most downloaded
+ * packages, since the registry has no bulk endpoint, and so it takes a
+ * request per package. The "counts" files for these shards map package names
+ * to arrays of their maintainers' usernames, rather than to counts.
+ */
+export function createMaintainersState(packageNames, nWorkShards) {
+  return {
+    workShards: createWorkShards(
+      "maintainers",
+      packageNames,
+      nWorkShards,
+      false,
+    ),
+  };
+}
+
+function createWorkShards(
+  idPrefix,
+  packageNames,
+  nWorkShards,
+  bulkQueries = true,
+) {
+  const { packageStatuses, singlePackages, unscopedPackageBatches } =
+    createInitialQueues(packageNames, bulkQueries);
+  const workShards = [];
+  for (let i = 0; i < nWorkShards; i++) {
+    const id = `${idPrefix}-${i}`;
+    workShards.push({
+      id,
+      // The intermediate counts files for this shard will be named
+      // work/<id>-counts0.json, work/<id>-counts1.json, etc:
+      countsFilesPrefix: `${WORK_DIR}/${id}-counts`,
+      countsFilesSoFar: 0,
+      singlePackages: [],
+      unscopedPackageBatches: [],
+      status403Packages: [],
+      packageStatuses: i == 0 ? packageStatuses : {},
+    });
+  }
+  // We deal the work out round-robin, so that each shard gets a similar mix
+  // of scoped and unscoped packages, and of packages from across the
+  // alphabet:
+  singlePackages.forEach((name, i) => {
+    workShards[i % nWorkShards].singlePackages.push(name);
+  });
+  unscopedPackageBatches.forEach((batch, i) => {
+    workShards[i % nWorkShards].unscopedPackageBatches.push(batch);
+  });
+  return workShards;
+}
+
+function createInitialQueues(packageNames, bulkQueries) {
+  // npm lets you publish scoped packages with a '..' in their name, like
+  // @chee/.. or @explodingcabbage/..
+  // However, essentially everything in the registry fails to handle these
+  // properly because the registry requires you to pass package names as URL
+  // segments and a segment of '..' gets parsed (per the URL specs!) as having
+  // the same meaning as in a file path - i.e. a URL like
+  //   https://api.npmjs.org/downloads/point/last-month/@chee/..
+  // gets rewritten (clientside by browsers, but also serverside by the npm
+  // API) to
+  //   https://api.npmjs.org/downloads/point/last-month
+  // which will return the total download count of ALL packages in the last
+  // month. There is no way to actually get the download count for these
+  // mischievous packages, so we filter them out. Similar consideration applies
+  // to packages with a single dot as a segment.
+  const packageStatuses = {};
+  packageNames = packageNames.filter((name) => {
+    if (name.split("/").includes(".") || name.split("/").includes("..")) {
+      packageStatuses[name] = PACKAGE_STATUSES.FILTERED;
+      return false;
+    }
+    return true;
+  });
+
+  // Scoped and unscoped packages need to be handled differently, since the
+  // downloads API only allows bulk requests for unscoped packages. So we split
+  // them up front into two queues, one of individual scoped packages and the
+  // other of batches of unscoped packages we can query in bulk. (Unless
+  // we're not querying the downloads API at all, in which case everything
+  // goes in the first queue.)
+  const isSingle = (name) => !bulkQueries || name.includes("/");
+  const singlePackages = packageNames.filter(isSingle);
+  const unscopedPackageBatches = [];
+  let batch = [];
+  for (const pkg of packageNames.filter((name) => !isSingle(name))) {
+    batch.push(pkg);
+    if (batch.length == BULK_QUERY_BATCH_SIZE) {
+      unscopedPackageBatches.push(batch);
+      batch = [];
+    }
+  }
+  if (batch.length) {
+    unscopedPackageBatches.push(batch);
+  }
+
+  return { packageStatuses, singlePackages, unscopedPackageBatches };
+}
+
+// The version of the format of STATE_PATH and the work shard files that this
+// code reads and writes, which is recorded in STATE_PATH's `schemaVersion`
+// property. (State files from before we started recording it count as
+// version 0.) Whenever the format changes, bump this and add a function to
+// MIGRATIONS that converts state from the previous version, so that builds
+// already in progress carry on working.
+//
+// As of this version, STATE_PATH holds an object with these properties:
+// * schemaVersion - SCHEMA_VERSION
+// * ranges - maps each time range to {workShards: [the IDs of its shards]}
+// * dailySeries, maintainers - each {workShards: [...]} too, if they exist
+//   yet (see createDailySeriesState and createMaintainersState)
+// * nameSources - where the build's list of package names came from, as
+//   returned by loadPackageNames in nameSources.js
+// * preview - see preview.js, if we're publishing a preview release
+// * failedValidation - {counts: the fingerprint of the counts that failed,
+//   checks: [the names of the checks they failed]}, if the release has
+//   failed validation (see validate.js) and not been published since
+// * published - true, once we've published the release
+// and the file for each work shard (see workShardPath) holds an object with
+// these properties, as checked by checkWorkShard:
+// * id - the shard's ID
+// * countsFilesPrefix, countsFilesSoFar - see createWorkShards
+// * unscopedPackageBatches - the queue of batches of unscoped packages still
+//   to query
+// * singlePackages - the queue of packages still to query one at a time
+// * status403Packages - the queue of packages that got 403s, still to try
+//   to recover (see recoverBlockedPackage in fetchCounts.js)
+// * packageStatuses - see PACKAGE_STATUSES
+export const SCHEMA_VERSION = 1;
+
+// MIGRATIONS[i] converts state stored in version i of the format (as parsed
+// from STATE_PATH) to version i + 1, rewriting any work shard files that need
+// it, and returns the result.
+const MIGRATIONS = [
+  function migrateUnversionedState(fs, storedState, { primaryTimeRange }) {
+    // State files from before we started versioning them are "flat": they
+    // hold the state of the build's only time range's only work shard at the
+    // top level, without any package statuses, and the shard's counts files
+    // are counts0.json, counts1.json, etc. Those builds all got their package
+    // names from the latest all-the-package-names, whatever version that was
+    // at the time.
+    const { published, ...workShardState } = storedState;
+    const id = `${timeRangeSlug(primaryTimeRange)}-0`;
+    saveWorkShard(fs, {
+      id,
+      countsFilesPrefix: "counts",
+      packageStatuses: {},
+      ...workShardState,
+    });
+    return {
+      ranges: { [primaryTimeRange]: { workShards: [id] } },
+      nameSources: [
+        { source: "all-the-package-names", version: null, packageCount: null },
+      ],
+      ...(published ? { published } : {}),
+    };
+  },
+];
+
+/**
+ * The state of the build in progress, or null if there isn't one.
+ * primaryTimeRange is only used for converting state files from before we
+ * supported multiple time ranges, which only ever had one. State files in
+ * older formats get converted to the current one (see SCHEMA_VERSION) on
+ * disk, so that the conversion gets committed along with whatever else we
+ * commit next.
+ */
+export function loadState(fs, primaryTimeRange) {
+  if (!fs.existsSync(STATE_PATH)) {
+    return null;
+  }
+  let storedState = JSON.parse(fs.readFileSync(STATE_PATH).toString());
+  const storedVersion = storedState.schemaVersion ?? 0;
+  if (storedVersion > SCHEMA_VERSION) {
+    throw new Error(
+      `${STATE_PATH} is in version ${storedVersion} of the format, but this code only understands up to version ${SCHEMA_VERSION}; it needs updating`,
+    );
+  }
+  if (storedVersion < SCHEMA_VERSION) {
+    for (let version = storedVersion; version < SCHEMA_VERSION; version++) {
+      storedState = MIGRATIONS[version](fs, storedState, { primaryTimeRange });
+    }
+    storedState.schemaVersion = SCHEMA_VERSION;
+    fs.writeFileSync(STATE_PATH, JSON.stringify(storedState));
+  }
+
+  const { schemaVersion, ...state } = storedState;
+  for (const rangeState of [
+    ...Object.values(state.ranges),
+    ...(state.dailySeries ? [state.dailySeries] : []),
+    ...(state.maintainers ? [state.maintainers] : []),
+  ]) {
+    rangeState.workShards = rangeState.workShards.map((id) =>
+      loadWorkShard(fs, id),
+    );
+  }
+  return state;
+}
+
+/**
+ * The state of the work shard with the given ID, as last saved.
+ */
+export function loadWorkShard(fs, id) {
+  const workShard = JSON.parse(fs.readFileSync(workShardPath(id)).toString());
+  checkWorkShard(workShard, workShardPath(id));
+  return workShard;
+}
+
+// Throws if the given work shard state (loaded from filePath) doesn't match
+// the format described above SCHEMA_VERSION, rather than have the build do
+// who knows what with it.
+function checkWorkShard(workShard, filePath) {
+  const problems = [];
+  if (typeof workShard.id != "string") {
+    problems.push("id isn't a string");
+  }
+  if (typeof workShard.countsFilesPrefix != "string") {
+    problems.push("countsFilesPrefix isn't a string");
+  }
+  if (!Number.isInteger(workShard.countsFilesSoFar)) {
+    problems.push("countsFilesSoFar isn't an integer");
+  }
+  for (const queue of [
+    "unscopedPackageBatches",
+    "singlePackages",
+    "status403Packages",
+  ]) {
+    if (!Array.isArray(workShard[queue])) {
+      problems.push(`${queue} isn't an array`);
+    }
+  }
+  if (
+    typeof workShard.packageStatuses != "object" ||
+    workShard.packageStatuses === null
+  ) {
+    problems.push("packageStatuses isn't an object");
+  }
+  if (problems.length > 0) {
+    throw new Error(
+      `Malformed work shard in ${filePath}: ${problems.join("; ")}`,
+    );
+  }
+}
+
+/**
+ * Saves the whole state of the build, including every work shard.
+ */
+export function saveState(fs, state) {
+  for (const rangeState of [
+    ...Object.values(state.ranges),
+    ...(state.dailySeries ? [state.dailySeries] : []),
+    ...(state.maintainers ? [state.maintainers] : []),
+  ]) {
+    for (const workShard of rangeState.workShards) {
+      saveWorkShard(fs, workShard);
+    }
+  }
+  saveTopLevelState(fs, state);
+}
+
+/**
+ * Saves everything in the state of the build except the work shards, which
+ * other runners may have changed since we loaded them.
+ */
+export function saveTopLevelState(fs, state) {
+  const storedState = { ...state, schemaVersion: SCHEMA_VERSION, ranges: {} };
+  for (const [timeRange, rangeState] of Object.entries(state.ranges)) {
+    storedState.ranges[timeRange] = workShardIds(rangeState);
+  }
+  if (state.dailySeries) {
+    storedState.dailySeries = workShardIds(state.dailySeries);
+  }
+  if (state.maintainers) {
+    storedState.maintainers = workShardIds(state.maintainers);
+  }
+  fs.writeFileSync(STATE_PATH, JSON.stringify(storedState));
+}
+
+function workShardIds(rangeState) {
+  return { workShards: rangeState.workShards.map(({ id }) => id) };
+}
+
+/**
+ * Saves the state of a single work shard. This is all a runner that's been
+ * working on a shard should save, since other runners may have changed the
+ * rest of the state in the meantime.
+ */
+export function saveWorkShard(fs, workShard) {
+  fs.mkdirSync(WORK_DIR, { recursive: true });
+  fs.writeFileSync(workShardPath(workShard.id), JSON.stringify(workShard));
+}
+
+export function workShardPath(id) {
+  return `${WORK_DIR}/${id}.json`;
+}
+
+function rateLimiterStatePath(runnerId) {
+  return `${WORK_DIR}/${runnerId}.rate.json`;
+}
+
+/**
+ * What the given runner has learned about how fast it can send requests, as
+ * an object with an intervalMs property, or null if it's never sent any.
+ */
+export function loadRateLimiterState(fs, runnerId) {
+  if (!fs.existsSync(rateLimiterStatePath(runnerId))) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(rateLimiterStatePath(runnerId)).toString());
+}
+
+/**
+ * Saves what the given runner has learned about how fast it can send requests,
+ * returning the path to pass to git.add to commit it.
+ */
+export function saveRateLimiterState(fs, runnerId, rateLimiterState) {
+  fs.mkdirSync(WORK_DIR, { recursive: true });
+  fs.writeFileSync(
+    rateLimiterStatePath(runnerId),
+    JSON.stringify(rateLimiterState),
+  );
+  return rateLimiterStatePath(runnerId);
+}
+
+/**
+ * Whether there are any packages left that we still need to query the API
+ * about in the given work shard.
+ */
+export function hasQueuedWork(workShard) {
+  return (
+    workShard.unscopedPackageBatches.length > 0 ||
+    workShard.singlePackages.length > 0 ||
+    workShard.status403Packages.length > 0
+  );
+}
+
+/**
+ * Everything we still need to fetch, in the order we should fetch it in, as
+ * objects with these properties:
+ * * timeRange - the time range to query the API about
+ * * workShard - the work shard listing the packages to query
+ * * endpoint - the API endpoint to query ("point" or "range"), or
+ *   "metadata" for the registry's package metadata
+ * * description - a description of what we're fetching, for logging
+ * The work shards for the daily series and maintainers aren't included until
+ * all the others are done (nor, of course, before we've created them).
+ */
+export function pendingFetchJobs(state) {
+  const jobs = [];
+  for (const [timeRange, rangeState] of Object.entries(state.ranges)) {
+    for (const workShard of rangeState.workShards.filter(hasQueuedWork)) {
+      jobs.push({
+        timeRange,
+        workShard,
+        endpoint: "point",
+        description: `${timeRange} download counts`,
+      });
+    }
+  }
+  if (jobs.length > 0) {
+    return jobs;
+  }
+  const [primaryTimeRange] = Object.keys(state.ranges);
+  for (const [rangeState, endpoint, description] of [
+    [state.dailySeries, "range", `daily ${primaryTimeRange} download counts`],
+    [state.maintainers, "metadata", "maintainers"],
+  ]) {
+    if (!rangeState) {
+      continue;
+    }
+    for (const workShard of rangeState.workShards.filter(hasQueuedWork)) {
+      jobs.push({
+        timeRange: primaryTimeRange,
+        workShard,
+        endpoint,
+        description,
+      });
+    }
+  }
+  return jobs;
+}
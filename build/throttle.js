@@ -0,0 +1,234 @@
+// Logic for rate limiting calls to the npm API follows.
+//
+// As of 15th November 2025, the rate limit seems to be extremely strict; even
+// seconds requests at a rate of one request per second results in getting a
+// temporary IP ban almost instantly. The *exact* rules of npm's API rate
+// limits are, as far as I know, secret, and past requests for the numbers
+// simply go unanswered - e.g. see
+// https://github.com/orgs/community/discussions/152515#discussioncomment-13094301
+// - and they may well change again without warning. So rather than hardcoding
+// a rate we found by trial and error, we have the build find out for itself
+// how fast it can go, using an AIMD ("additive increase, multiplicative
+// decrease") scheme like TCP's congestion control:
+// * We run config.maxSimultaneousRequests (2) "threads" sending requests, and
+//   have each thread wait at least a certain interval after starting one
+//   request before it starts the next. The interval is shared by all the
+//   threads.
+// * Every CLEAN_RESPONSES_PER_SPEEDUP responses that don't indicate we're
+//   going too fast, we shorten the interval by SPEEDUP_STEP_MS.
+// * Whenever we get a response indicating that we ARE going too fast - a 429,
+//   or a Cloudflare challenge page - we double the interval (see slowDown),
+//   and retry the request after a pause (up to MAX_RETRIES times).
+// The interval is always kept between config.minRequestIntervalMs and
+// config.maxRequestIntervalMs, and the interval we end each run on gets saved
+// (see saveRateLimiterState in state.js) so the next run can start from it.
+//
+// Even so, a full build of a new release will take weeks. This sucks, but so
+// be it; it can't be helped (except by distributing the work over multiple IPs
+// to dodge the rate limit, which you can do by running the build on several
+// runners at once - see leases.js).
+//
+// Note that the rate limit USED to be much more lenient; before 15th November,
+// we could do a full build in under a day, and used to therefore do two builds
+// per month. The API also used to include Retry-After headers with 429 rate
+// limiting responses. But both of these things have changed, meaning the API
+// is now pretty hostile to efforts like this to export the data in bulk.
+//
+// When the API does tell us how long to wait with a Retry-After header, or
+// when we decide to pause ourselves, the timestamp to wait until gets stored
+// in the rate limit state object (see createRateLimitState) shared by all
+// "threads".
+
+const CLEAN_RESPONSES_PER_SPEEDUP = 50;
+const SPEEDUP_STEP_MS = 100;
+
+// How long we pause all threads for after a response telling us to slow down
+// that doesn't say for how long. This doubles with each such response in a row,
+// up to MAX_PAUSE_MS.
+const INITIAL_PAUSE_MS = 60 * 1000;
+const MAX_PAUSE_MS = 60 * 60 * 1000;
+
+// How many times we retry a single request that we keep being told to slow
+// down for. Between the pauses above, that's a couple of hours of retrying;
+// after that, we give up on it for now, and the caller treats it like any
+// other failed request (see fetchCounts.js), putting it back in the queue
+// and counting it towards the limit on unexpected errors.
+const MAX_RETRIES = 7;
+
+/**
+ * State shared between all the throttled fetchers in a run of the build,
+ * starting from the given request interval (e.g. as learned by the previous
+ * run) and kept within the given bounds.
+ */
+export function createRateLimitState({
+  intervalMs,
+  minIntervalMs,
+  maxIntervalMs,
+  now = Date.now,
+}) {
+  intervalMs = Math.min(Math.max(intervalMs, minIntervalMs), maxIntervalMs);
+  return {
+    intervalMs,
+    minIntervalMs,
+    maxIntervalMs,
+    // Timestamp that no thread should start a request before:
+    retryAfterTimestampMs: 0,
+    cleanResponsesSinceSpeedup: 0,
+    slowdownsInARow: 0,
+    lastSlowdownTimestampMs: -Infinity,
+    // Figures we log at the end of each run, so maintainers can see how close
+    // to the limit the build is operating (see summarizeRateLimitState):
+    metrics: {
+      startTimestampMs: now(),
+      requests: 0,
+      rateLimitedResponses: 0,
+      challenges: 0,
+      startIntervalMs: intervalMs,
+      shortestIntervalMs: intervalMs,
+      longestIntervalMs: intervalMs,
+    },
+  };
+}
+
+/**
+ * The figures about a run that we log, as an object.
+ */
+export function summarizeRateLimitState(rateLimitState, now = Date.now) {
+  const { metrics, intervalMs } = rateLimitState;
+  const elapsedMinutes = (now() - metrics.startTimestampMs) / 60000;
+  return {
+    requests: metrics.requests,
+    rateLimitedResponses: metrics.rateLimitedResponses,
+    challenges: metrics.challenges,
+    requestsPerMinute:
+      elapsedMinutes > 0 ? metrics.requests / elapsedMinutes : null,
+    startIntervalMs: metrics.startIntervalMs,
+    endIntervalMs: intervalMs,
+    shortestIntervalMs: metrics.shortestIntervalMs,
+    longestIntervalMs: metrics.longestIntervalMs,
+  };
+}
+
+function speedUp(rateLimitState) {
+  rateLimitState.slowdownsInARow = 0;
+  rateLimitState.cleanResponsesSinceSpeedup++;
+  if (rateLimitState.cleanResponsesSinceSpeedup < CLEAN_RESPONSES_PER_SPEEDUP) {
+    return;
+  }
+  rateLimitState.cleanResponsesSinceSpeedup = 0;
+  rateLimitState.intervalMs = Math.max(
+    rateLimitState.intervalMs - SPEEDUP_STEP_MS,
+    rateLimitState.minIntervalMs,
+  );
+  rateLimitState.metrics.shortestIntervalMs = Math.min(
+    rateLimitState.metrics.shortestIntervalMs,
+    rateLimitState.intervalMs,
+  );
+}
+
+function slowDown(rateLimitState, retryAfterMs, now) {
+  rateLimitState.cleanResponsesSinceSpeedup = 0;
+  // Several threads will often hit the limit at around the same time, but we
+  // only want to slow down once for that, so we ignore any further complaints
+  // for one (new) interval:
+  if (
+    now() - rateLimitState.lastSlowdownTimestampMs >=
+    rateLimitState.intervalMs
+  ) {
+    rateLimitState.lastSlowdownTimestampMs = now();
+    rateLimitState.slowdownsInARow++;
+    // (Doubling does nothing to an interval of 0, as used when testing
+    // against the mock registry, hence the + 1000.)
+    rateLimitState.intervalMs = Math.min(
+      Math.max(rateLimitState.intervalMs * 2, rateLimitState.intervalMs + 1000),
+      rateLimitState.maxIntervalMs,
+    );
+    rateLimitState.metrics.longestIntervalMs = Math.max(
+      rateLimitState.metrics.longestIntervalMs,
+      rateLimitState.intervalMs,
+    );
+  }
+  retryAfterMs ??= Math.min(
+    INITIAL_PAUSE_MS * 2 ** (rateLimitState.slowdownsInARow - 1),
+    MAX_PAUSE_MS,
+  );
+  rateLimitState.retryAfterTimestampMs = Math.max(
+    rateLimitState.retryAfterTimestampMs,
+    retryAfterMs + now(),
+  );
+}
+
+function sleepMs(ms) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+}
+
+/**
+ * Creates a function with the same interface as fetch, for use by a single
+ * "thread", that obeys the rate limiting rules described above. It retries
+ * requests we're told to slow down for up to MAX_RETRIES times, and throws if
+ * we're still being told to slow down after that.
+ */
+export function createThrottledFetcher({
+  fetch,
+  rateLimitState,
+  sleep = sleepMs,
+  now = Date.now,
+}) {
+  let throttlingWait = null;
+  return async function throttledFetch(...args) {
+    for (let retries = 0; ; retries++) {
+      // First make sure we've waiting at least the current interval between
+      // request starts.
+      await throttlingWait;
+
+      // THEN make sure we're also obeying any demands (from the API or
+      // ourselves) that we wait until a given time to make more requests,
+      // including any that come in (on another thread) while we're waiting.
+      while (rateLimitState.retryAfterTimestampMs - now() > 0) {
+        await sleep(rateLimitState.retryAfterTimestampMs - now());
+      }
+
+      // Then set up the wait for the next request on this thread:
+      throttlingWait = sleep(rateLimitState.intervalMs);
+
+      // Finally(ish), actually make the request:
+      rateLimitState.metrics.requests++;
+      const resp = await fetch(...args);
+
+      // Then handle responses telling us to slow down, if we get them:
+      if (resp.status == 429) {
+        rateLimitState.metrics.rateLimitedResponses++;
+        // (The download endpoint always just returns a number in its
+        // Retry-After header, not a date - or nowadays, no Retry-After header
+        // at all.)
+        const retryAfter = Number(resp.headers.get("Retry-After"));
+        if (!retryAfter) {
+          console.error("Got a 429 response without a Retry-After header.");
+        }
+        slowDown(rateLimitState, retryAfter ? retryAfter * 1000 : null, now);
+      } else if (resp.headers.get("cf-mitigated") == "challenge") {
+        // Cloudflare wants us to prove we're a browser by running some
+        // JavaScript, which we can't do; but we can wait until it calms down.
+        // (Not to be confused with the 403s from the WAF that we handle in
+        // fetchCounts.js, which don't go away no matter how long we wait.)
+        rateLimitState.metrics.challenges++;
+        console.error("Got a Cloudflare challenge; slowing down.");
+        slowDown(rateLimitState, null, now);
+      } else {
+        speedUp(rateLimitState);
+        return resp;
+      }
+
+      // We're not going to read the body of the response we're retrying, so
+      // we discard it rather than leaving the connection tied up with it.
+      await resp.body?.cancel();
+      if (retries >= MAX_RETRIES) {
+        throw new Error(
+          `Still told to slow down after retrying ${MAX_RETRIES} times: ${args[0]}`,
+        );
+      }
+    }
+  };
+}
@@ -0,0 +1,192 @@
+import { createHash } from "node:crypto";
+import {
+  computeRanking,
+  countsFilePath,
+  mergeCountsFiles,
+} from "./consolidate.js";
+
+// Before we publish a release, we sanity check its counts against those of the
+// previous release, since a bug in the build or an outage of the npm API that
+// e.g. returned zeros or made us drop half the packages would otherwise get
+// published straight to everyone depending on us. Month-to-month changes in
+// the real download counts are much smaller than any of the thresholds below,
+// so if a release fails one of these checks, something has almost certainly
+// gone wrong. If a maintainer decides that it hasn't, they can publish the
+// release anyway with config.skipValidation. A failure gets recorded in the
+// build's state (as `failedValidation`), along with a fingerprint of the
+// counts that failed, so that runners don't check the same counts again and
+// again; they only do once the counts have changed.
+
+// The most the number of packages we have counts for may shrink by, as a
+// fraction of the previous release's. (The registry only ever grows, but some
+// packages get unpublished, and some get blocked by the WAF.)
+const MAX_PACKAGE_COUNT_DROP = 0.1;
+
+// The most the sum of all the download counts may shrink or grow by, as a
+// fraction of the previous release's. (This has to allow for the difference
+// in length between months.)
+const MAX_TOTAL_DOWNLOADS_DROP = 0.25;
+const MAX_TOTAL_DOWNLOADS_RISE = 1;
+
+// The smallest fraction of the previous release's TOP_OVERLAP_N most
+// downloaded packages that must still be among the TOP_OVERLAP_N most
+// downloaded packages.
+const TOP_OVERLAP_N = 1000;
+const MIN_TOP_OVERLAP = 0.8;
+
+// None of the previous release's WELL_KNOWN_N most downloaded packages may be
+// missing, or have a count smaller than it was by more than this fraction.
+const WELL_KNOWN_N = 100;
+const MAX_WELL_KNOWN_DROP = 0.5;
+
+/**
+ * Runs all the checks described above on the consolidated counts of a build,
+ * returning an array of the results, each with a `name`, whether it `passed`,
+ * and a human-readable `details` string. If previousCounts is null, because
+ * there's no previous release, we can only check the counts files.
+ */
+export function validateRelease({ fs, state, counts, previousCounts }) {
+  if (previousCounts == null) {
+    return [
+      checkCountsFiles(fs, state, counts),
+      {
+        name: "comparison with previous release",
+        passed: true,
+        details: "skipped, since there is no previous release",
+      },
+    ];
+  }
+  return [
+    checkCountsFiles(fs, state, counts),
+    checkPackageCount(counts, previousCounts),
+    checkTotalDownloads(counts, previousCounts),
+    checkTopOverlap(counts, previousCounts),
+    checkWellKnownPackages(counts, previousCounts),
+  ];
+}
+
+/**
+ * The results returned by validateRelease, as a report for a human to read.
+ */
+export function formatValidationReport(results) {
+  return results
+    .map(
+      ({ name, passed, details }) =>
+        `${passed ? "PASS" : "FAIL"} ${name}: ${details}`,
+    )
+    .join("\n");
+}
+
+/**
+ * A fingerprint of the contents of a counts file, which changes whenever they
+ * do.
+ */
+export function fingerprintCounts(countsJson) {
+  return `sha256:${createHash("sha256").update(countsJson).digest("hex")}`;
+}
+
+// Every intermediate counts file the state says was written must still exist,
+// and together they must contain exactly the counts we're publishing.
+function checkCountsFiles(fs, state, counts) {
+  const name = "intermediate counts files";
+  const rangeStates = [
+    ...Object.values(state.ranges),
+    ...(state.dailySeries ? [state.dailySeries] : []),
+    ...(state.maintainers ? [state.maintainers] : []),
+  ];
+  const missingPaths = [];
+  for (const rangeState of rangeStates) {
+    for (const workShard of rangeState.workShards) {
+      for (let i = 0; i < workShard.countsFilesSoFar; i++) {
+        if (!fs.existsSync(countsFilePath(workShard, i))) {
+          missingPaths.push(countsFilePath(workShard, i));
+        }
+      }
+    }
+  }
+  if (missingPaths.length > 0) {
+    return {
+      name,
+      passed: false,
+      details: `${missingPaths.length} missing, e.g. ${missingPaths[0]}`,
+    };
+  }
+  const [primaryState] = Object.values(state.ranges);
+  const nMerged = Object.keys(mergeCountsFiles(fs, primaryState)).length;
+  const nPublished = Object.keys(counts).length;
+  return {
+    name,
+    passed: nMerged == nPublished,
+    details: `${nMerged} packages counted in them, ${nPublished} in the release`,
+  };
+}
+
+function checkPackageCount(counts, previousCounts) {
+  const previous = Object.keys(previousCounts).length;
+  const current = Object.keys(counts).length;
+  return {
+    name: "number of packages",
+    passed: current >= previous * (1 - MAX_PACKAGE_COUNT_DROP),
+    details: `${describeChange(previous, current)} (at most -${formatFraction(MAX_PACKAGE_COUNT_DROP)} allowed)`,
+  };
+}
+
+function checkTotalDownloads(counts, previousCounts) {
+  const sum = (countsObject) =>
+    Object.values(countsObject).reduce((total, count) => total + count, 0);
+  const previous = sum(previousCounts);
+  const current = sum(counts);
+  return {
+    name: "total downloads",
+    passed:
+      current >= previous * (1 - MAX_TOTAL_DOWNLOADS_DROP) &&
+      current <= previous * (1 + MAX_TOTAL_DOWNLOADS_RISE),
+    details: `${describeChange(previous, current)} (-${formatFraction(MAX_TOTAL_DOWNLOADS_DROP)} to +${formatFraction(MAX_TOTAL_DOWNLOADS_RISE)} allowed)`,
+  };
+}
+
+function checkTopOverlap(counts, previousCounts) {
+  const top = new Set(computeRanking(counts).slice(0, TOP_OVERLAP_N));
+  const previousTop = computeRanking(previousCounts).slice(0, TOP_OVERLAP_N);
+  const overlap =
+    previousTop.filter((name) => top.has(name)).length /
+    Math.max(previousTop.length, 1);
+  return {
+    name: `top ${TOP_OVERLAP_N} overlap`,
+    passed: overlap >= MIN_TOP_OVERLAP,
+    details: `${formatFraction(overlap)} of the previous top ${TOP_OVERLAP_N} are still in it (at least ${formatFraction(MIN_TOP_OVERLAP)} required)`,
+  };
+}
+
+function checkWellKnownPackages(counts, previousCounts) {
+  const dropped = computeRanking(previousCounts)
+    .slice(0, WELL_KNOWN_N)
+    .filter(
+      (name) =>
+        !Object.hasOwn(counts, name) ||
+        counts[name] < previousCounts[name] * (1 - MAX_WELL_KNOWN_DROP),
+    );
+  return {
+    name: `previous top ${WELL_KNOWN_N} packages`,
+    passed: dropped.length == 0,
+    details:
+      dropped.length == 0
+        ? `none missing or down by more than ${formatFraction(MAX_WELL_KNOWN_DROP)}`
+        : `missing or down by more than ${formatFraction(MAX_WELL_KNOWN_DROP)}: ` +
+          dropped
+            .map(
+              (name) =>
+                `${name} (${describeChange(previousCounts[name], counts[name] ?? 0)})`,
+            )
+            .join(", "),
+  };
+}
+
+function describeChange(previous, current) {
+  const change = previous > 0 ? (current - previous) / previous : 0;
+  return `${previous} -> ${current} (${change >= 0 ? "+" : ""}${formatFraction(change)})`;
+}
+
+function formatFraction(fraction) {
+  return `${(fraction * 100).toFixed(1)}%`;
+}
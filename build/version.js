@@ -0,0 +1,55 @@
+/**
+ * The version number we'll use on npm for the release we're currently building,
+ * given the build's primary time range (see config.js).
+ */
+export function getVersion(timeRange = "last-month", today = new Date()) {
+  // We normally do one release per month, which should start building on the
+  // 1st of the month, and use data from whatever the latest
+  // all-the-package-names release is when the build starts. (Builds whose
+  // primary time range is something other than last-month release at a
+  // different cadence; see releaseDate below.)
+  // Version number format is 2.YYYYMMDD
+  // Reasons for this:
+  // * Major version number of 2 distinguishes these builds from ones built
+  //   with different code that were discontinued in 2017
+  // * It's useful to be able to immediately see from the version how outdated
+  //   the data is without checking the release date on npm
+  // * This format means that the default version specifier npm or yarn will
+  //   put in a user's package.json, of something like ^2.20251201, will allow
+  //   them to upgrade to the latest version automatically until such time as
+  //   we increment the "2." to a "3.", which is what we want
+  // * Valid package versions need to have 3 parts, so we stick a '.0' on the
+  //   end to keep npm happy.
+  const date = releaseDate(timeRange, today);
+  const yyyy = date.getUTCFullYear();
+  const mm = String(date.getUTCMonth() + 1).padStart(2, "0");
+  const dd = String(date.getUTCDate()).padStart(2, "0");
+  return `2.${yyyy}${mm}${dd}.0`;
+}
+
+/**
+ * The date that a build for the given time range that's in progress today
+ * should be considered to have started, and hence be named after. Builds for
+ * the same time range that share a release date share a build branch, so this
+ * determines how often we release.
+ */
+function releaseDate(timeRange, today) {
+  const yyyy = today.getUTCFullYear();
+  const mm = today.getUTCMonth();
+  const dd = today.getUTCDate();
+  switch (timeRange) {
+    case "last-day":
+      return new Date(Date.UTC(yyyy, mm, dd));
+    case "last-week":
+      // The most recent Monday:
+      return new Date(Date.UTC(yyyy, mm, dd - ((today.getUTCDay() + 6) % 7)));
+    case "last-month":
+      return new Date(Date.UTC(yyyy, mm, 1));
+    case "last-year":
+      return new Date(Date.UTC(yyyy, 0, 1));
+    default:
+      // An explicit date range, which only ever needs one release, which we
+      // name after the end of the range:
+      return new Date(timeRange.split(":")[1]);
+  }
+}
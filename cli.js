@@ -0,0 +1,283 @@
+#!/usr/bin/env node
+import fs from "node:fs";
+import { parseArgs } from "node:util";
+import { availableRanges, forRange } from "./ranges.js";
+
+// The `download-counts` command, for querying the counts from the command line
+// instead of writing a script. Run it with --help for usage. Each subcommand
+// produces a list of rows, which get printed as a table, JSON or CSV (see
+// FORMATTERS).
+
+const USAGE = `Usage: download-counts <command> [options]
+
+Commands:
+  get <package...>          the download count of each package
+  top                       the most downloaded packages
+  rank <package...>         each package's rank and percentile
+  compare <package...>      packages' counts side by side, most downloaded
+                            first, with each one's share of their total
+  deps <package.json path>  the download count of every dependency listed in
+                            a package.json file
+
+Options:
+  --n <n>                   (top) how many packages to list (default 10)
+  --scope <scope>           (top) only list packages in this scope, e.g. @babel
+  --min-count <count>       (top) only list packages with at least this many
+                            downloads
+  --range <time range>      use the counts for this time range, rather than
+                            the primary one (e.g. last-week; see
+                            download-counts/ranges)
+  --format <format>         table (the default), json or csv
+  --help                    show this message`;
+
+const DEPENDENCY_TYPES = [
+  "dependencies",
+  "devDependencies",
+  "peerDependencies",
+  "optionalDependencies",
+];
+
+const COMMANDS = {
+  get(names, _options, api) {
+    requireNames(names);
+    return names.map((name) => ({
+      package: name,
+      downloads: api.getCount(name),
+      status: api.getStatus(name),
+    }));
+  },
+
+  top(names, options, api) {
+    if (names.length > 0) {
+      throw new UsageError("top doesn't take any package names");
+    }
+    const n = parseNumber(options.n ?? "10", "--n");
+    const minCount = parseNumber(options["min-count"] ?? "0", "--min-count");
+    return api
+      .topPackages(n, { scope: options.scope, minCount })
+      .map(([name, count]) => ({
+        rank: api.rank(name),
+        package: name,
+        downloads: count,
+      }));
+  },
+
+  rank(names, _options, api) {
+    requireNames(names);
+    return names.map((name) => ({
+      package: name,
+      rank: api.rank(name),
+      percentile: roundTo(api.percentile(name), 2),
+      downloads: api.getCount(name),
+    }));
+  },
+
+  compare(names, _options, api) {
+    if (names.length < 2) {
+      throw new UsageError("compare needs at least two package names");
+    }
+    const total = names.reduce(
+      (sum, name) => sum + (api.getCount(name) ?? 0),
+      0,
+    );
+    return names
+      .map((name) => ({
+        package: name,
+        downloads: api.getCount(name),
+        share:
+          api.getCount(name) === undefined || total == 0
+            ? undefined
+            : `${roundTo((100 * api.getCount(name)) / total, 1)}%`,
+      }))
+      .sort((row1, row2) => (row2.downloads ?? -1) - (row1.downloads ?? -1));
+  },
+
+  deps([path, ...rest], _options, api) {
+    if (path == null || rest.length > 0) {
+      throw new UsageError("deps needs exactly one package.json path");
+    }
+    let pkgJson;
+    try {
+      pkgJson = JSON.parse(fs.readFileSync(path).toString());
+    } catch (e) {
+      const problem =
+        e instanceof SyntaxError
+          ? "isn't valid JSON"
+          : `can't be read (${e.code ?? e.message})`;
+      throw new InputError(`${path} ${problem}`);
+    }
+    if (!isJsonObject(pkgJson)) {
+      throw new InputError(`${path} doesn't hold a package.json object`);
+    }
+    const rows = [];
+    for (const type of DEPENDENCY_TYPES) {
+      if (pkgJson[type] === undefined) {
+        continue;
+      }
+      if (!isJsonObject(pkgJson[type])) {
+        throw new InputError(
+          `${path}'s ${type} isn't an object mapping package names to versions`,
+        );
+      }
+      for (const name of Object.keys(pkgJson[type])) {
+        rows.push({
+          package: name,
+          type,
+          downloads: api.getCount(name),
+          status: api.getStatus(name),
+        });
+      }
+    }
+    return rows.sort(
+      (row1, row2) => (row2.downloads ?? -1) - (row1.downloads ?? -1),
+    );
+  },
+};
+
+const FORMATTERS = {
+  table(rows) {
+    if (rows.length == 0) {
+      return "(no results)";
+    }
+    const columns = Object.keys(rows[0]);
+    const cells = [
+      columns,
+      ...rows.map((row) => columns.map((column) => formatCell(row[column]))),
+    ];
+    const widths = columns.map((_, i) =>
+      Math.max(...cells.map((rowCells) => rowCells[i].length)),
+    );
+    // (Numbers are right-aligned, everything else left-aligned.)
+    const isNumeric = columns.map((column) =>
+      rows.every(
+        (row) => row[column] == null || typeof row[column] == "number",
+      ),
+    );
+    return cells
+      .map((rowCells) =>
+        rowCells
+          .map((cell, i) =>
+            isNumeric[i] ? cell.padStart(widths[i]) : cell.padEnd(widths[i]),
+          )
+          .join("  ")
+          .trimEnd(),
+      )
+      .join("\n");
+  },
+
+  json(rows) {
+    return JSON.stringify(rows, null, 2);
+  },
+
+  csv(rows) {
+    if (rows.length == 0) {
+      return "";
+    }
+    const columns = Object.keys(rows[0]);
+    return [
+      columns,
+      ...rows.map((row) => columns.map((column) => row[column] ?? "")),
+    ]
+      .map((rowCells) => rowCells.map(quoteCsvField).join(","))
+      .join("\n");
+  },
+};
+
+class UsageError extends Error {}
+
+// For problems with a file the user pointed us at, where the usage message
+// wouldn't help, so we just print the error itself.
+class InputError extends Error {}
+
+function requireNames(names) {
+  if (names.length == 0) {
+    throw new UsageError("Expected at least one package name");
+  }
+}
+
+// (As opposed to an array, null or a primitive, any of which JSON.parse can
+// also give.)
+function isJsonObject(value) {
+  return value !== null && typeof value == "object" && !Array.isArray(value);
+}
+
+function parseNumber(str, flag) {
+  const number = Number(str);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new UsageError(`Expected a whole number for ${flag}, got ${str}`);
+  }
+  return number;
+}
+
+function roundTo(number, decimalPlaces) {
+  return number === undefined
+    ? undefined
+    : Number(number.toFixed(decimalPlaces));
+}
+
+function formatCell(value) {
+  if (value == null) {
+    return "-";
+  }
+  return typeof value == "number"
+    ? value.toLocaleString("en-US")
+    : String(value);
+}
+
+function quoteCsvField(value) {
+  const str = String(value);
+  return /[",\n]/.test(str) ? `"${str.replaceAll('"', '""')}"` : str;
+}
+
+function main(args) {
+  const { values: options, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      n: { type: "string" },
+      scope: { type: "string" },
+      "min-count": { type: "string" },
+      range: { type: "string" },
+      format: { type: "string", default: "table" },
+      help: { type: "boolean" },
+    },
+  });
+  const [command, ...names] = positionals;
+  if (options.help || command == null) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!Object.hasOwn(COMMANDS, command)) {
+    throw new UsageError(`Unknown command ${command}`);
+  }
+  if (!Object.hasOwn(FORMATTERS, options.format)) {
+    throw new UsageError(`Unknown format ${options.format}`);
+  }
+  const timeRanges = availableRanges();
+  const timeRange = options.range ?? timeRanges[0];
+  if (!timeRanges.includes(timeRange)) {
+    throw new UsageError(
+      `No counts for time range ${timeRange}; this release only has ${timeRanges.join(", ")}`,
+    );
+  }
+  const api = forRange(timeRange);
+  const rows = COMMANDS[command](names, options, api);
+  console.log(FORMATTERS[options.format](rows));
+  return 0;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (e) {
+  // (Errors from parseArgs, about unknown or malformed options, are usage
+  // errors too.)
+  if (e instanceof UsageError || e.code?.startsWith("ERR_PARSE_ARGS")) {
+    console.error(`${e.message}\n\n${USAGE}`);
+    process.exitCode = 1;
+  } else if (e instanceof InputError) {
+    console.error(e.message);
+    process.exitCode = 1;
+  } else {
+    throw e;
+  }
+}
@@ -0,0 +1,72 @@
+import fs from "node:fs";
+
+// Loading the whole of counts.json takes seconds and hundreds of MB of memory,
+// which is a waste if you only want to look up a handful of packages. So we
+// also publish the counts split into many small shards, grouped by the first
+// two characters of the package name, and this module only ever loads the
+// shards it needs.
+//
+// Each shard consists of two files in the shards directory:
+// * <key>.names, containing the package names in the shard, sorted, one per
+//   line
+// * <key>.counts, containing the corresponding download counts, in the same
+//   order, as an array of little-endian 64-bit floats (since yearly counts of
+//   the most popular packages don't fit in 32 bits)
+
+const SHARDS_DIR = new URL("./shards/", import.meta.url);
+
+// Shards we've loaded so far, keyed by shard key:
+const loadedShards = new Map();
+
+/**
+ * The key of the shard containing the named package. Hex-encoded, so that
+ * shard file names are safe to use on any filesystem (including
+ * case-insensitive ones).
+ */
+export function shardKey(name) {
+  return Buffer.from(name.slice(0, 2).toLowerCase()).toString("hex");
+}
+
+/**
+ * The download count of the named package, or undefined if we don't have one.
+ */
+export function getCount(name) {
+  const { names, counts } = loadShard(shardKey(name));
+  let low = 0;
+  let high = names.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (names[mid] < name) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  if (names[low] !== name) {
+    return undefined;
+  }
+  return counts.readDoubleLE(low * 8);
+}
+
+function loadShard(key) {
+  if (!loadedShards.has(key)) {
+    let shard;
+    try {
+      shard = {
+        names: fs
+          .readFileSync(new URL(`${key}.names`, SHARDS_DIR))
+          .toString()
+          .split("\n"),
+        counts: fs.readFileSync(new URL(`${key}.counts`, SHARDS_DIR)),
+      };
+    } catch (e) {
+      // No shard means no packages with names starting this way:
+      if (e.code !== "ENOENT") {
+        throw e;
+      }
+      shard = { names: [], counts: Buffer.alloc(0) };
+    }
+    loadedShards.set(key, shard);
+  }
+  return loadedShards.get(key);
+}
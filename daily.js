@@ -0,0 +1,26 @@
+import daily from "./daily.json" with { type: "json" };
+
+// `daily.days` lists the days (as YYYY-MM-DD strings) covered by this release,
+// oldest first. `daily.counts` maps the name of each of the most downloaded
+// packages to an array of its download counts on those days, in the same
+// order, with null wherever we don't have a count for it.
+
+/**
+ * The days we have daily download counts for, oldest first, as YYYY-MM-DD
+ * strings.
+ */
+export function getDays() {
+  return [...daily.days];
+}
+
+/**
+ * The download counts of the named package on each day we have counts for,
+ * as [day, count] pairs, oldest first. We only have these for the most
+ * downloaded packages; for any other package, returns undefined.
+ */
+export function getDailyDownloads(name) {
+  if (!Object.hasOwn(daily.counts, name)) {
+    return undefined;
+  }
+  return daily.counts[name].map((count, i) => [daily.days[i], count]);
+}
@@ -0,0 +1,93 @@
+import history from "./history.json" with { type: "json" };
+
+// `history.versions` lists the versions of this package whose counts we have,
+// oldest first, ending with this one. `history.counts` maps each package name
+// to an array of its counts in those versions, in the same order, with null
+// wherever we don't have a count for it (e.g. because it hadn't been
+// published yet at the time). To keep the package small, only the packages
+// that were among the 10,000 most downloaded in this version or the previous
+// one are included.
+
+/**
+ * The versions of download-counts covered by the history, oldest first.
+ */
+export function getVersions() {
+  return [...history.versions];
+}
+
+/**
+ * The download counts of the named package in each version covered by the
+ * history, as [version, count] pairs, oldest first. Returns undefined if the
+ * history doesn't cover the package.
+ */
+export function getHistory(name) {
+  if (!Object.hasOwn(history.counts, name)) {
+    return undefined;
+  }
+  return history.counts[name].map((count, i) => [history.versions[i], count]);
+}
+
+/**
+ * How much the named package's download count changed between the previous
+ * version and this one, as an object with `absolute` and `relative`
+ * properties (where a relative change of 0.5 means a 50% increase). Returns
+ * undefined if we don't have counts for the package in both versions.
+ */
+export function growth(name) {
+  if (!Object.hasOwn(history.counts, name)) {
+    return undefined;
+  }
+  return computeGrowth(history.counts[name]);
+}
+
+/**
+ * The n packages whose download counts grew the most between the previous
+ * version and this one, as [name, growth] pairs, where growth is as returned
+ * by the growth function. Ranked by relative growth by default; pass
+ * `by: "absolute"` to rank by absolute growth instead. Packages with fewer
+ * than minCount downloads in the previous version are ignored, since tiny
+ * packages otherwise dominate any ranking by relative growth.
+ */
+export function fastestRisers(n, { by = "relative", minCount = 1000 } = {}) {
+  return rankByGrowth(n, by, minCount, 1);
+}
+
+/**
+ * Like fastestRisers, but for the packages whose download counts shrank the
+ * most.
+ */
+export function fastestFallers(n, { by = "relative", minCount = 1000 } = {}) {
+  return rankByGrowth(n, by, minCount, -1);
+}
+
+function computeGrowth(packageCounts) {
+  const current = packageCounts.at(-1);
+  const previous = packageCounts.at(-2);
+  if (current == null || previous == null) {
+    return undefined;
+  }
+  return {
+    absolute: current - previous,
+    relative: previous == 0 ? null : (current - previous) / previous,
+  };
+}
+
+function rankByGrowth(n, by, minCount, direction) {
+  if (by !== "relative" && by !== "absolute") {
+    throw new Error(`by must be "relative" or "absolute", not ${by}`);
+  }
+  const candidates = [];
+  for (const [name, packageCounts] of Object.entries(history.counts)) {
+    const packageGrowth = computeGrowth(packageCounts);
+    if (
+      packageGrowth?.[by] != null &&
+      packageCounts.at(-2) >= minCount &&
+      direction * packageGrowth[by] > 0
+    ) {
+      candidates.push([name, packageGrowth]);
+    }
+  }
+  return candidates
+    .sort(([, growth1], [, growth2]) => direction * (growth2[by] - growth1[by]))
+    .slice(0, n);
+}
@@ -0,0 +1,57 @@
+import fs from "node:fs";
+import counts from "./counts.json" with { type: "json" };
+import { createQueryApi } from "./query.js";
+
+// Query functions, as documented in query.js, for the download counts in this
+// release's primary time range (which is the past month, unless you built the
+// release yourself with different settings). For other time ranges, see
+// ranges.js. `counts` itself maps package names to download counts, exactly
+// as it always has, and is also the default export - which is all that
+// `require("download-counts")` gives you, as in earlier versions (see
+// "exports" in package.json).
+//
+// The rest of the data the query functions need is only loaded the first time
+// one of them needs it, since most of it is as big as `counts` itself.
+
+function lazyJson(fileName) {
+  let data;
+  return () =>
+    (data ??= JSON.parse(
+      fs.readFileSync(new URL(fileName, import.meta.url)).toString(),
+    ));
+}
+
+const loadRanking = lazyJson("./ranking.json");
+const loadStatuses = lazyJson("./status.json");
+const loadScopes = lazyJson("./scopes.json");
+const loadMaintainers = lazyJson("./maintainers.json");
+
+export const {
+  getCount,
+  topPackages,
+  rank,
+  percentile,
+  packagesAbove,
+  getStatus,
+  isBlocked,
+  blockedPackages,
+  getScopeStats,
+  getMaintainerStats,
+} = createQueryApi({
+  counts,
+  get ranking() {
+    return loadRanking();
+  },
+  get statuses() {
+    return loadStatuses();
+  },
+  get scopes() {
+    return loadScopes();
+  },
+  get maintainers() {
+    return loadMaintainers();
+  },
+});
+
+export { counts };
+export default counts;
@@ -0,0 +1,195 @@
+// The functions exported by index.js (and by ranges.js for each time range),
+// implemented in terms of the following data from the build:
+// * `counts` maps package names to download counts.
+// * `ranking` is every key of `counts`, precomputed at build time in
+//   descending order of download count (with ties broken by name), which lets
+//   us answer top-n and rank queries without sorting millions of entries at
+//   runtime.
+// * `statuses` maps the name of every package that we tried and failed to get
+//   a count for to the reason why.
+// * `scopes` and `maintainers` map each scope, and each maintainer of one of
+//   the most downloaded packages, to an object with the `total` downloads of
+//   their packages, how many `packages` that is, and the names of their `top`
+//   (up to 10) packages, most downloaded first.
+//
+// Only `counts` is needed up front. We don't read any of the others until a
+// query function needs it, so that callers can make them getters that load
+// the data on first use, and e.g. someone who only calls getCount never pays
+// for parsing the ranking.
+
+/**
+ * Creates the query functions for a single dataset, given an object with the
+ * properties described above.
+ */
+export function createQueryApi(data) {
+  const { counts } = data;
+  /**
+   * The download count of the named package, or undefined if we don't have one.
+   */
+  function getCount(name) {
+    return Object.hasOwn(counts, name) ? counts[name] : undefined;
+  }
+
+  /**
+   * The n most downloaded packages, as [name, count] pairs, most downloaded
+   * first. Optionally restricted to packages within a single scope (e.g.
+   * "@babel") and/or to packages with at least minCount downloads.
+   */
+  function topPackages(n, { scope, minCount = 0 } = {}) {
+    const prefix = scope == null ? null : `@${scope.replace(/^@/, "")}/`;
+    const result = [];
+    for (const name of data.ranking) {
+      if (result.length >= n || counts[name] < minCount) {
+        break;
+      }
+      if (prefix == null || name.startsWith(prefix)) {
+        result.push([name, counts[name]]);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * The 1-based position of the named package in the ranking of all packages by
+   * download count, or undefined if we don't have a count for it. Packages with
+   * equal counts share the same rank.
+   */
+  function rank(name) {
+    const count = getCount(name);
+    if (count === undefined) {
+      return undefined;
+    }
+    return countAbove(count) + 1;
+  }
+
+  /**
+   * The percentage (from 0 to 100) of all packages that have strictly fewer
+   * downloads than the named package, or undefined if we don't have a count for
+   * it.
+   */
+  function percentile(name) {
+    const count = getCount(name);
+    if (count === undefined) {
+      return undefined;
+    }
+    const countBelow = data.ranking.length - countAbove(count - 1);
+    return (100 * countBelow) / data.ranking.length;
+  }
+
+  /**
+   * Every package with strictly more than `threshold` downloads, as [name, count]
+   * pairs, most downloaded first.
+   */
+  function packagesAbove(threshold) {
+    return data.ranking
+      .slice(0, countAbove(threshold))
+      .map((name) => [name, counts[name]]);
+  }
+
+  /**
+   * Why we do or don't have a download count for the named package. One of:
+   * * "counted" - we have a count for it
+   * * "unpublished" - the npm API said it doesn't exist, which usually means it
+   *   was unpublished
+   * * "blocked" - the npm API refused to give us its count
+   * * "filtered" - it has a name that the npm API can't give a meaningful count
+   *   for, so we didn't ask
+   * * "unqueried" - it wasn't in the list of packages we built this release
+   *   from, which usually means it was published after the build began
+   */
+  function getStatus(name) {
+    if (Object.hasOwn(counts, name)) {
+      return "counted";
+    }
+    return Object.hasOwn(data.statuses, name)
+      ? data.statuses[name]
+      : "unqueried";
+  }
+
+  /**
+   * Whether the npm API refused to give us a download count for the named
+   * package, as opposed to it just not existing.
+   */
+  function isBlocked(name) {
+    return getStatus(name) === "blocked";
+  }
+
+  /**
+   * Every package that the npm API refused to give us a download count for,
+   * sorted by name.
+   */
+  function blockedPackages() {
+    return Object.keys(data.statuses)
+      .filter((name) => data.statuses[name] === "blocked")
+      .sort();
+  }
+
+  /**
+   * Totals for all the packages in the given scope (e.g. "@babel"), as an
+   * object with these properties:
+   * * total - the sum of their download counts
+   * * packages - how many of them we have download counts for
+   * * topPackages - the (up to) 10 most downloaded of them, as [name, count]
+   *   pairs, most downloaded first
+   * Returns undefined if we have no download counts for any packages in the
+   * scope.
+   */
+  function getScopeStats(scope) {
+    return describeAggregate(data.scopes, `@${scope.replace(/^@/, "")}`);
+  }
+
+  /**
+   * Totals for all the packages maintained by the npm user with the given
+   * username, in the same format as getScopeStats. Only the maintainers of the
+   * most downloaded packages are known (and only if the release was built
+   * with maintainersTopN set), so these totals only cover those packages.
+   * Returns undefined for anyone who maintains none of them.
+   */
+  function getMaintainerStats(username) {
+    return describeAggregate(data.maintainers, username);
+  }
+
+  function describeAggregate(aggregates, key) {
+    if (!Object.hasOwn(aggregates, key)) {
+      return undefined;
+    }
+    const { total, packages, top } = aggregates[key];
+    return {
+      total,
+      packages,
+      topPackages: top.map((name) => [name, counts[name]]),
+    };
+  }
+
+  /**
+   * How many packages have strictly more than `threshold` downloads. Since
+   * `ranking` is sorted, we can binary search for this.
+   */
+  function countAbove(threshold) {
+    const { ranking } = data;
+    let low = 0;
+    let high = ranking.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (counts[ranking[mid]] > threshold) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+
+  return {
+    getCount,
+    topPackages,
+    rank,
+    percentile,
+    packagesAbove,
+    getStatus,
+    isBlocked,
+    blockedPackages,
+    getScopeStats,
+    getMaintainerStats,
+  };
+}
@@ -0,0 +1,77 @@
+import fs from "node:fs";
+import { createQueryApi } from "./query.js";
+
+// Releases can include download counts for time ranges other than the primary
+// one exported by index.js - e.g. the past week or year. TIME_RANGES_PATH
+// lists every time range included in the release, primary one first. The
+// data for the primary one is in the package's root directory; the data for
+// each of the others is in its own subdirectory of RANGES_DIR (named as per
+// timeRangeSlug), in files of the same names. We only load each one on
+// demand.
+
+const TIME_RANGES_PATH = new URL("./timeRanges.json", import.meta.url);
+const RANGES_DIR = new URL("./ranges/", import.meta.url);
+
+// Query APIs we've loaded so far, keyed by time range:
+const loadedApis = new Map();
+
+/**
+ * The name of the directory holding the data for the given time range, which
+ * is the time range itself except with the colon in explicit date ranges
+ * (which isn't allowed in file names on Windows) replaced.
+ */
+export function timeRangeSlug(timeRange) {
+  return timeRange.replace(":", "_");
+}
+
+/**
+ * Every time range included in this release, e.g. "last-month" or
+ * "2025-01-01:2025-01-31". The first is the one whose counts index.js exports.
+ */
+export function availableRanges() {
+  return JSON.parse(fs.readFileSync(TIME_RANGES_PATH).toString());
+}
+
+/**
+ * The query functions (as exported by index.js and documented in query.js)
+ * for the counts in the given time range.
+ */
+export function forRange(timeRange) {
+  if (!loadedApis.has(timeRange)) {
+    const timeRanges = availableRanges();
+    if (!timeRanges.includes(timeRange)) {
+      throw new Error(
+        `This release has no counts for time range ${timeRange}; it only has ${timeRanges.join(", ")}`,
+      );
+    }
+    const dir =
+      timeRange == timeRanges[0]
+        ? new URL("./", import.meta.url)
+        : new URL(`${timeRangeSlug(timeRange)}/`, RANGES_DIR);
+    const readJson = (fileName) =>
+      JSON.parse(fs.readFileSync(new URL(fileName, dir)).toString());
+    // (As in index.js, we only load the data other than the counts once a
+    // query function needs it.)
+    const loaded = {};
+    const readOnce = (fileName) => (loaded[fileName] ??= readJson(fileName));
+    loadedApis.set(
+      timeRange,
+      createQueryApi({
+        counts: readJson("counts.json"),
+        get ranking() {
+          return readOnce("ranking.json");
+        },
+        get statuses() {
+          return readOnce("status.json");
+        },
+        get scopes() {
+          return readOnce("scopes.json");
+        },
+        get maintainers() {
+          return readOnce("maintainers.json");
+        },
+      }),
+    );
+  }
+  return loadedApis.get(timeRange);
+}
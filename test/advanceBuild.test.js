@@ -0,0 +1,332 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { once } from "node:events";
+import { advanceBuild } from "../build/advanceBuild.js";
+import { loadConfig } from "../build/config.js";
+import { leasePath } from "../build/leases.js";
+import { journalPath } from "../build/journal.js";
+import { createMockRegistry } from "../build/mockRegistry.js";
+
+const VERSION = "1.2.3";
+
+const PACKAGE_NAMES = [
+  "react",
+  "lodash",
+  "@babel/core",
+  "waf-trigger-example",
+  "unpublished-example",
+];
+
+const WEBHOOK_URL = "https://hooks.example/build";
+
+// Runs each step of the build in a fresh directory standing in for a
+// checkout of the build branch, against the mock registry, with git and npm
+// faked out, as follows:
+// * git just records what it's asked to commit, and succeeds in pushing it
+//   unless pushSucceeds says otherwise for its message (by default, it
+//   always does, as if there were no other runners)
+// * npm has never published the package, and records what it's asked to
+//   publish
+// * notifications posted to the webhook are recorded rather than sent
+async function setUpBuild(
+  t,
+  {
+    packageNames = PACKAGE_NAMES,
+    failPublish = false,
+    pushSucceeds = () => true,
+    args = [],
+  } = {},
+) {
+  const server = createMockRegistry({ packageNames });
+  server.listen(0);
+  await once(server, "listening");
+  const mockUrl = `http://localhost:${server.address().port}`;
+
+  const originalDir = process.cwd();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "download-counts-test-"));
+  process.chdir(dir);
+  t.after(() => {
+    process.chdir(originalDir);
+    fs.rmSync(dir, { recursive: true, force: true });
+    server.close();
+  });
+  fs.writeFileSync(
+    "package.json",
+    JSON.stringify({ name: "download-counts", version: "0.0.0" }, null, 2),
+  );
+
+  const build = { mockUrl, commits: [], npmCommands: [], notifications: [] };
+  let pendingPaths = [];
+  const git = {
+    async add(...paths) {
+      pendingPaths.push(...paths);
+    },
+    async commitAndPush(message) {
+      build.commits.push({ message, paths: pendingPaths });
+      pendingPaths = [];
+      return pushSucceeds(message);
+    },
+  };
+  const execFileAsync = async (command, args) => {
+    assert.equal(command, "npm");
+    build.npmCommands.push(args);
+    if (args[0] == "pack") {
+      throw Object.assign(new Error("Command failed: npm pack"), {
+        stdout: "",
+        stderr: "npm error code E404\nnpm error 404 Not Found",
+      });
+    }
+    if (args[0] == "publish" && failPublish) {
+      throw new Error("Command failed: npm publish");
+    }
+    return { stdout: "", stderr: "" };
+  };
+  const fakeFetch = async (url, options) => {
+    if (url == WEBHOOK_URL) {
+      build.notifications.push(JSON.parse(options.body));
+      return new Response("", { status: 200 });
+    }
+    return await fetch(url, options);
+  };
+  const config = loadConfig(
+    [
+      ...["--name-sources", `couchdb:${mockUrl}`],
+      ...["--api-host", mockUrl],
+      ...["--registry-host", mockUrl],
+      ...["--initial-request-interval-ms", "0"],
+      ...["--min-request-interval-ms", "0"],
+      ...["--daily-series-top-n", "2"],
+      ...["--maintainers-top-n", "2"],
+      ...["--webhook-url", WEBHOOK_URL],
+      ...args,
+    ],
+    {},
+  );
+
+  build.config = config;
+  // Runs a step, returning the messages of the commits it made.
+  build.advance = async (expectedExitCode = 0) => {
+    const nCommitsBefore = build.commits.length;
+    assert.equal(
+      await advanceBuild({
+        version: VERSION,
+        config,
+        fs,
+        git,
+        fetch: fakeFetch,
+        execFileAsync,
+      }),
+      expectedExitCode,
+    );
+    return build.commits.slice(nCommitsBefore).map(({ message }) => message);
+  };
+  return build;
+}
+
+const readJson = (path) => JSON.parse(fs.readFileSync(path).toString());
+
+test("builds and publishes a release, one step at a time", async (t) => {
+  const build = await setUpBuild(t);
+
+  // Scenario 1: initiating the build.
+  assert.deepEqual(await build.advance(), [
+    `Initiate state file and update package.json for build ${VERSION}`,
+  ]);
+  assert.equal(readJson("package.json").version, VERSION);
+  assert.deepEqual(readJson("state.json").nameSources, [
+    {
+      source: `couchdb:${build.mockUrl}`,
+      version: `${PACKAGE_NAMES.length}-mock`,
+      packageCount: PACKAGE_NAMES.length,
+    },
+  ]);
+
+  // Scenario 2: fetching the counts. The mock registry is quick enough that
+  // each stage only takes a single run.
+  assert.deepEqual(await build.advance(), [
+    "Fetched last-month download counts for some packages in last-month-0",
+  ]);
+  assert.deepEqual(await build.advance(), [
+    "Queue daily download counts for 2 packages",
+    "Fetched daily last-month download counts for some packages in daily-0",
+  ]);
+  assert.deepEqual(await build.advance(), [
+    "Fetched maintainers for some packages in maintainers-0",
+  ]);
+  // (There's only one runner, so no leases get claimed.)
+  for (const { paths } of build.commits) {
+    assert.ok(!paths.some((p) => p.includes("lease")), paths.join(", "));
+  }
+
+  // Scenario 3: consolidating the counts.
+  assert.deepEqual(await build.advance(), [
+    "Wrote counts.json and derived files",
+  ]);
+  const counts = readJson("counts.json");
+  assert.deepEqual(
+    Object.keys(counts).sort(),
+    ["@babel/core", "lodash", "react", "waf-trigger-example"].sort(),
+  );
+  assert.deepEqual(readJson("status.json"), {
+    "unpublished-example": "unpublished",
+  });
+  const ranking = readJson("ranking.json");
+  assert.equal(ranking.length, 4);
+  assert.ok(
+    ranking.every(
+      (name, i) => i == 0 || counts[ranking[i - 1]] >= counts[name],
+    ),
+  );
+  // (There was no previous release to extend the history of.)
+  assert.deepEqual(readJson("history.json").versions, [VERSION]);
+  assert.deepEqual(
+    Object.keys(readJson("daily.json").counts).sort(),
+    ranking.slice(0, 2).sort(),
+  );
+
+  // Scenario 4: publishing.
+  assert.deepEqual(await build.advance(), [
+    `Version ${VERSION} is now published to npm`,
+  ]);
+  assert.deepEqual(build.npmCommands.at(-1), ["publish"]);
+  assert.equal(readJson("state.json").published, true);
+  assert.deepEqual(
+    build.notifications.map(({ event }) => event),
+    ["finished"],
+  );
+
+  // Scenario 5: nothing left to do.
+  const nNpmCommands = build.npmCommands.length;
+  assert.deepEqual(await build.advance(), []);
+  assert.equal(build.npmCommands.length, nNpmCommands);
+});
+
+test("reports a failure to publish", async (t) => {
+  const build = await setUpBuild(t, { failPublish: true });
+  while (!fs.existsSync("counts.json")) {
+    await build.advance();
+  }
+  await assert.rejects(build.advance(), /npm publish/);
+  assert.equal(build.commits.at(-1).message, `Failed publishing ${VERSION}`);
+  assert.equal(readJson("state.json").published, undefined);
+  assert.deepEqual(
+    build.notifications.map(({ event }) => event),
+    ["stalled"],
+  );
+});
+
+test("leaves work shards leased to other runners alone", async (t) => {
+  const build = await setUpBuild(t, {
+    // (Giving each of the two shards a scoped package to fetch.)
+    packageNames: [...PACKAGE_NAMES, "@types/node"],
+    args: ["--work-shards", "2", "--runner-id", "a"],
+  });
+  await build.advance();
+  // (As if runner b had just claimed the first shard.)
+  fs.writeFileSync(
+    leasePath("last-month-0"),
+    JSON.stringify({ runnerId: "b", expiresAtMs: Date.now() + 60000 }),
+  );
+  assert.deepEqual(await build.advance(), [
+    "Lease last-month-1 to a",
+    "Fetched last-month download counts for some packages in last-month-1",
+  ]);
+  // (Releasing the lease along with the counts.)
+  assert.ok(build.commits.at(-1).paths.includes(leasePath("last-month-1")));
+  assert.equal(fs.existsSync(leasePath("last-month-1")), false);
+
+  // With every remaining shard leased to b, a has nothing to do...
+  assert.deepEqual(await build.advance(), []);
+
+  // ... until b's lease expires.
+  fs.writeFileSync(
+    leasePath("last-month-0"),
+    JSON.stringify({ runnerId: "b", expiresAtMs: Date.now() - 1 }),
+  );
+  assert.deepEqual(await build.advance(), [
+    "Lease last-month-0 to a",
+    "Fetched last-month download counts for some packages in last-month-0",
+  ]);
+});
+
+test("only validates the same counts once", async (t) => {
+  const build = await setUpBuild(t);
+  while (!fs.existsSync("counts.json")) {
+    await build.advance();
+  }
+  // (Without a previous release, the only check the counts can fail is the
+  // one that they match the intermediate counts files.)
+  const counts = readJson("counts.json");
+  fs.writeFileSync("counts.json", JSON.stringify({ ...counts, extra: 1 }));
+  assert.deepEqual(await build.advance(1), [
+    `Version ${VERSION} failed validation`,
+  ]);
+  assert.deepEqual(readJson("state.json").failedValidation.checks, [
+    "intermediate counts files",
+  ]);
+  assert.ok(build.commits.at(-1).paths.includes("state.json"));
+
+  // Other runs give up without committing anything...
+  assert.deepEqual(await build.advance(1), []);
+  assert.equal(build.notifications.length, 1);
+
+  // ... until the counts change...
+  fs.writeFileSync("counts.json", JSON.stringify({ ...counts, extra: 2 }));
+  assert.deepEqual(await build.advance(1), [
+    `Version ${VERSION} failed validation`,
+  ]);
+
+  // ... or a maintainer decides to publish the release anyway.
+  build.config.skipValidation = true;
+  assert.deepEqual(await build.advance(), [
+    `Version ${VERSION} is now published to npm`,
+  ]);
+  assert.equal(readJson("state.json").failedValidation, undefined);
+});
+
+test("recovers the work of a run that crashed", async (t) => {
+  const build = await setUpBuild(t);
+  await build.advance();
+  // (As if a run had fetched a count for @babel/core before crashing.)
+  fs.writeFileSync(
+    journalPath("last-month-0"),
+    [
+      { countsFilesSoFar: 0 },
+      {
+        queue: "singlePackages",
+        item: "@babel/core",
+        counts: { "@babel/core": 12345 },
+        statuses: {},
+        requeue: [],
+      },
+    ]
+      .map((line) => JSON.stringify(line) + "\n")
+      .join(""),
+  );
+  await build.advance();
+  assert.equal(
+    readJson("work/last-month-0-counts0.json")["@babel/core"],
+    12345,
+  );
+  assert.equal(fs.existsSync(journalPath("last-month-0")), false);
+});
+
+test("discards its work after losing its lease at a checkpoint", async (t) => {
+  const build = await setUpBuild(t, {
+    pushSucceeds: (message) => !message.startsWith("Checkpoint"),
+    args: [
+      ...["--work-shards", "2", "--runner-id", "a"],
+      ...["--checkpoint-every", "1"],
+    ],
+  });
+  await build.advance();
+  assert.deepEqual(await build.advance(), [
+    "Lease last-month-0 to a",
+    "Checkpoint work on last-month-0",
+  ]);
+  assert.ok(build.commits.at(-1).paths.includes(leasePath("last-month-0")));
+  assert.equal(fs.existsSync(journalPath("last-month-0")), false);
+});
@@ -0,0 +1,148 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { openCheckpointingJournal } from "../build/checkpoints.js";
+import {
+  applyJournalEntry,
+  createEntryRecorder,
+  replayJournal,
+} from "../build/journal.js";
+import { leasePath, renewLease } from "../build/leases.js";
+import { loadWorkShard, saveWorkShard } from "../build/state.js";
+
+const LEASE_CONFIG = { runnerId: "a", leaseDurationMs: 60000 };
+
+// Runs each test in a fresh directory standing in for a checkout of the
+// build branch, holding a saved work shard, with git faked out to record what
+// it's asked to commit and to push it with the given outcome (true, false or
+// an error to throw). Returns an object for running through the shard's work
+// items like fetchQueuedCounts would, with a checkpointing journal that
+// checkpoints every 2 entries.
+function setUp(t, { pushOutcome = true } = {}) {
+  const originalDir = process.cwd();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "download-counts-test-"));
+  process.chdir(dir);
+  t.after(() => {
+    process.chdir(originalDir);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  saveWorkShard(fs, {
+    id: "last-month-0",
+    countsFilesPrefix: "work/last-month-0-counts",
+    countsFilesSoFar: 2,
+    unscopedPackageBatches: [["a", "b"]],
+    singlePackages: ["@s/w", "@s/x", "@s/y", "@s/z"],
+    status403Packages: [],
+    packageStatuses: {},
+  });
+
+  const run = {
+    commits: [],
+    workShard: loadWorkShard(fs, "last-month-0"),
+    counts: {},
+  };
+  let pendingPaths = [];
+  const git = {
+    async add(...paths) {
+      pendingPaths.push(...paths);
+    },
+    async commitAndPush(message) {
+      run.commits.push({ message, paths: pendingPaths });
+      pendingPaths = [];
+      if (pushOutcome instanceof Error) {
+        throw pushOutcome;
+      }
+      return pushOutcome;
+    },
+  };
+  run.journal = openCheckpointingJournal({
+    fs,
+    git,
+    workShard: run.workShard,
+    counts: run.counts,
+    every: 2,
+    renewLease: () => renewLease(fs, "last-month-0", LEASE_CONFIG),
+  });
+  // Takes the next single package off the queue, returning a function that
+  // finishes fetching it, recording the given count for it.
+  run.start = () => {
+    const name = run.workShard.singlePackages.pop();
+    return (count) => {
+      const recorder = createEntryRecorder("singlePackages", name);
+      recorder.counts[name] = count;
+      applyJournalEntry(run.workShard, run.counts, recorder.entry);
+      run.journal.record(recorder.entry);
+    };
+  };
+  return run;
+}
+
+const readJson = (path) => JSON.parse(fs.readFileSync(path).toString());
+
+test("saves and pushes a checkpoint every so many entries", async (t) => {
+  const run = setUp(t);
+  const finishZ = run.start();
+  run.start()(1);
+  assert.equal(run.commits.length, 0);
+  run.start()(2);
+  await run.journal.settle();
+
+  assert.deepEqual(run.commits, [
+    {
+      message: "Checkpoint work on last-month-0",
+      paths: [
+        "work/last-month-0-counts2.json",
+        "work/last-month-0.json",
+        leasePath("last-month-0"),
+      ],
+    },
+  ]);
+  assert.deepEqual(readJson("work/last-month-0-counts2.json"), {
+    "@s/y": 1,
+    "@s/x": 2,
+  });
+  // (With the package still in flight left on the queue.)
+  const savedShard = loadWorkShard(fs, "last-month-0");
+  assert.equal(savedShard.countsFilesSoFar, 3);
+  assert.deepEqual(savedShard.singlePackages, ["@s/w", "@s/z"]);
+  assert.equal(readJson(leasePath("last-month-0")).runnerId, "a");
+  assert.ok(readJson(leasePath("last-month-0")).expiresAtMs > Date.now());
+
+  // The run carries on from the checkpoint...
+  assert.equal(run.workShard.countsFilesSoFar, 3);
+  assert.deepEqual(run.counts, {});
+  finishZ(3);
+  assert.deepEqual(run.counts, { "@s/z": 3 });
+  assert.equal(run.journal.signal.aborted, false);
+
+  // ... and if it crashes now, only what it's done since gets replayed.
+  const recoveredCounts = {};
+  assert.equal(replayJournal(fs, savedShard, recoveredCounts), 1);
+  assert.deepEqual(recoveredCounts, { "@s/z": 3 });
+  assert.deepEqual(savedShard.singlePackages, ["@s/w"]);
+});
+
+test("stops fetching after losing the lease to another runner", async (t) => {
+  const run = setUp(t, { pushOutcome: false });
+  run.start()(1);
+  run.start()(2);
+  await run.journal.settle();
+  assert.equal(run.journal.signal.aborted, true);
+  assert.equal(run.journal.lostLease, true);
+  // (Without trying to push any more checkpoints.)
+  run.start()(3);
+  run.start()(4);
+  await run.journal.settle();
+  assert.equal(run.commits.length, 1);
+});
+
+test("stops fetching after failing to push a checkpoint", async (t) => {
+  const run = setUp(t, { pushOutcome: new Error("Command failed: git push") });
+  run.start()(1);
+  run.start()(2);
+  await run.journal.settle();
+  assert.equal(run.journal.signal.aborted, true);
+  assert.equal(run.journal.lostLease, false);
+});
@@ -0,0 +1,178 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+import { computeAggregates, computeRanking } from "../build/consolidate.js";
+
+const execFileAsync = promisify(execFile);
+
+const counts = {
+  lodash: 100,
+  react: 60,
+  "@babel/core": 50,
+  "@babel/parser": 30,
+  tiny: 0,
+};
+
+// The CLI reads the counts from next to itself, so we write them to a
+// temporary directory along with a copy of it and the modules it uses, as in
+// a published release, and run it from there.
+function setUpRelease(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "download-counts-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const file of ["cli.js", "ranges.js", "query.js"]) {
+    fs.copyFileSync(
+      new URL(`../${file}`, import.meta.url),
+      path.join(dir, file),
+    );
+  }
+  const ranking = computeRanking(counts);
+  const files = {
+    "package.json": { type: "module" },
+    "timeRanges.json": ["last-month"],
+    "counts.json": counts,
+    "ranking.json": ranking,
+    "status.json": { "waf-package": "blocked" },
+    "scopes.json": computeAggregates(counts, ranking, () => []),
+    "maintainers.json": {},
+  };
+  for (const [name, contents] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), JSON.stringify(contents));
+  }
+  return dir;
+}
+
+// Runs the CLI in the given release with the given arguments, returning its
+// exit code and output.
+async function run(dir, ...args) {
+  try {
+    const { stdout, stderr } = await execFileAsync(process.execPath, [
+      path.join(dir, "cli.js"),
+      ...args,
+    ]);
+    return { code: 0, stdout, stderr };
+  } catch (e) {
+    return { code: e.code, stdout: e.stdout, stderr: e.stderr };
+  }
+}
+
+test("gets packages' counts and statuses", async (t) => {
+  const dir = setUpRelease(t);
+  const { code, stdout } = await run(
+    dir,
+    "get",
+    "lodash",
+    "waf-package",
+    "--format",
+    "json",
+  );
+  assert.equal(code, 0);
+  assert.deepEqual(JSON.parse(stdout), [
+    { package: "lodash", downloads: 100, status: "counted" },
+    { package: "waf-package", status: "blocked" },
+  ]);
+});
+
+test("prints the top packages as a table", async (t) => {
+  const dir = setUpRelease(t);
+  const { code, stdout } = await run(dir, "top", "--n", "2");
+  assert.equal(code, 0);
+  assert.equal(
+    stdout,
+    [
+      "rank  package  downloads",
+      "   1  lodash         100",
+      "   2  react           60",
+      "",
+    ].join("\n"),
+  );
+});
+
+test("compares packages as CSV", async (t) => {
+  const dir = setUpRelease(t);
+  const { stdout } = await run(
+    dir,
+    "compare",
+    "react",
+    "lodash",
+    "nonexistent",
+    "--format",
+    "csv",
+  );
+  assert.equal(
+    stdout,
+    "package,downloads,share\nlodash,100,62.5%\nreact,60,37.5%\nnonexistent,,\n",
+  );
+});
+
+test("lists the counts of a package.json's dependencies", async (t) => {
+  const dir = setUpRelease(t);
+  const pkgJsonPath = path.join(dir, "some-package.json");
+  fs.writeFileSync(
+    pkgJsonPath,
+    JSON.stringify({
+      dependencies: { react: "^19.0.0", tiny: "1" },
+      devDependencies: { lodash: "^4.0.0" },
+    }),
+  );
+  const { code, stdout } = await run(
+    dir,
+    "deps",
+    pkgJsonPath,
+    "--format",
+    "json",
+  );
+  assert.equal(code, 0);
+  assert.deepEqual(
+    JSON.parse(stdout).map(({ package: name, type }) => [name, type]),
+    [
+      ["lodash", "devDependencies"],
+      ["react", "dependencies"],
+      ["tiny", "dependencies"],
+    ],
+  );
+});
+
+test("rejects a package.json it can't make sense of, without the usage message", async (t) => {
+  const dir = setUpRelease(t);
+  const pkgJsonPath = path.join(dir, "some-package.json");
+  for (const [contents, problem] of [
+    ["{", "isn't valid JSON"],
+    ["[]", "doesn't hold a package.json object"],
+    ['"abc"', "doesn't hold a package.json object"],
+    ['{"dependencies":"abc"}', "dependencies isn't an object"],
+    ['{"peerDependencies":["react"]}', "peerDependencies isn't an object"],
+    ['{"dependencies":null}', "dependencies isn't an object"],
+  ]) {
+    fs.writeFileSync(pkgJsonPath, contents);
+    const { code, stderr } = await run(dir, "deps", pkgJsonPath);
+    assert.equal(code, 1, contents);
+    assert.ok(stderr.includes(problem), stderr);
+    assert.ok(!stderr.includes("Usage:"), stderr);
+  }
+  const { code, stderr } = await run(
+    dir,
+    "deps",
+    path.join(dir, "nonexistent.json"),
+  );
+  assert.equal(code, 1);
+  assert.match(stderr, /can't be read \(ENOENT\)/);
+});
+
+test("prints the usage message after a usage error", async (t) => {
+  const dir = setUpRelease(t);
+  for (const args of [
+    ["frobnicate"],
+    ["compare", "react"],
+    ["top", "--n", "-1"],
+    ["get", "react", "--range", "last-week"],
+    ["get", "react", "--no-such-option"],
+  ]) {
+    const { code, stderr } = await run(dir, ...args);
+    assert.equal(code, 1, args.join(" "));
+    assert.match(stderr, /Usage: download-counts/, args.join(" "));
+  }
+});
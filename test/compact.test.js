@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { writeShards } from "../build/consolidate.js";
+
+const counts = {
+  lodash: 310086369,
+  "lodash.merge": 50000000,
+  lo: 3,
+  LOUD: 7,
+  "@babel/core": 100,
+  "@babel/parser": 90,
+  "@types/node": 5000000000,
+  "über-package": 12,
+  x: 0,
+};
+
+// compact.js reads the shards from next to itself, so we write them to a
+// temporary directory along with a copy of it, as in a published release.
+async function loadCompact(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "download-counts-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.copyFileSync(
+    new URL("../compact.js", import.meta.url),
+    path.join(dir, "compact.js"),
+  );
+  writeShards(fs, counts, dir);
+  return await import(pathToFileURL(path.join(dir, "compact.js")));
+}
+
+test("looks up every package's count in its shard", async (t) => {
+  const { getCount } = await loadCompact(t);
+  for (const [name, count] of Object.entries(counts)) {
+    assert.equal(getCount(name), count, name);
+  }
+});
+
+test("gives undefined for packages we don't have a count for", async (t) => {
+  const { getCount } = await loadCompact(t);
+  // (In a shard that exists, before, between and after its names...)
+  assert.equal(getCount("la"), undefined);
+  assert.equal(getCount("lodash.mergf"), undefined);
+  assert.equal(getCount("loz"), undefined);
+  assert.equal(getCount("Lodash"), undefined);
+  // (... and in ones that don't.)
+  assert.equal(getCount("zzz"), undefined);
+  assert.equal(getCount("y"), undefined);
+});
+
+test("puts names differing only in case in the same shard", async (t) => {
+  const { shardKey } = await loadCompact(t);
+  assert.equal(shardKey("LOUD"), shardKey("lodash"));
+  assert.match(shardKey("über-package"), /^[0-9a-f]+$/);
+});
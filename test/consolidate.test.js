@@ -0,0 +1,209 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import {
+  computeAggregates,
+  computeRanking,
+  countsFilePath,
+  extendHistory,
+  fetchPreviousHistory,
+  mergeCountsFiles,
+} from "../build/consolidate.js";
+
+// Writes the given counts files for each of a time range's work shards, in a
+// temporary directory, returning the time range's state.
+function writeCountsFiles(t, countsFilesByShard) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "download-counts-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const workShards = countsFilesByShard.map((countsFiles, i) => {
+    const workShard = {
+      id: `last-month-${i}`,
+      countsFilesPrefix: path.join(dir, `last-month-${i}-counts`),
+      countsFilesSoFar: countsFiles.length,
+    };
+    countsFiles.forEach((counts, j) => {
+      fs.writeFileSync(countsFilePath(workShard, j), JSON.stringify(counts));
+    });
+    return workShard;
+  });
+  return { workShards };
+}
+
+test("merges the counts files of every work shard", (t) => {
+  const rangeState = writeCountsFiles(t, [
+    [{ a: 1, b: 2 }, {}, { c: 3 }],
+    [{ d: 4 }],
+    [],
+  ]);
+  assert.deepEqual(mergeCountsFiles(fs, rangeState), {
+    a: 1,
+    b: 2,
+    c: 3,
+    d: 4,
+  });
+});
+
+test("ignores counts files beyond the number the shard has written", (t) => {
+  const rangeState = writeCountsFiles(t, [[{ a: 1 }, { b: 2 }]]);
+  rangeState.workShards[0].countsFilesSoFar = 1;
+  assert.deepEqual(mergeCountsFiles(fs, rangeState), { a: 1 });
+});
+
+test("ranks packages by count, breaking ties by name", () => {
+  assert.deepEqual(computeRanking({ b: 5, a: 5, c: 10, d: 0 }), [
+    "c",
+    "a",
+    "b",
+    "d",
+  ]);
+});
+
+test("totals the counts of each group's packages", () => {
+  const counts = { "@a/x": 5, "@a/y": 10, "@b/x": 1, z: 100, w: 0 };
+  const maintainers = {
+    "@a/x": ["alice", "bob"],
+    "@b/x": ["bob"],
+    z: ["constructor"],
+  };
+  const aggregates = computeAggregates(
+    counts,
+    computeRanking(counts),
+    (name) => maintainers[name] ?? [],
+  );
+  assert.deepEqual(
+    { ...aggregates },
+    {
+      alice: { total: 5, packages: 1, top: ["@a/x"] },
+      bob: { total: 6, packages: 2, top: ["@a/x", "@b/x"] },
+      constructor: { total: 100, packages: 1, top: ["z"] },
+    },
+  );
+});
+
+test("only lists each group's top 10 packages, most downloaded first", () => {
+  const counts = Object.fromEntries(
+    Array.from({ length: 15 }, (_, i) => [`@s/p${i}`, i]),
+  );
+  const { "@s": scope } = computeAggregates(
+    counts,
+    computeRanking(counts),
+    (name) => [name.split("/")[0]],
+  );
+  assert.equal(scope.total, 105);
+  assert.equal(scope.packages, 15);
+  assert.deepEqual(
+    scope.top,
+    Array.from({ length: 10 }, (_, i) => `@s/p${14 - i}`),
+  );
+});
+
+test("extends the history with the new counts", () => {
+  const previousHistory = {
+    versions: ["1.0.0", "1.1.0"],
+    counts: { a: [1, 2], falling: [3, 1] },
+  };
+  assert.deepEqual(extendHistory(previousHistory, { a: 4, new: 5 }, "1.2.0"), {
+    versions: ["1.0.0", "1.1.0", "1.2.0"],
+    counts: { a: [1, 2, 4], falling: [3, 1, null], new: [null, null, 5] },
+  });
+});
+
+test("drops the oldest releases, and packages in neither of the last two, from the history", () => {
+  const versions = Array.from({ length: 12 }, (_, i) => `1.${i}.0`);
+  const previousHistory = {
+    versions,
+    counts: {
+      a: versions.map((_, i) => i),
+      gone: [7, ...Array(11).fill(null)],
+    },
+  };
+  const history = extendHistory(previousHistory, { a: 12 }, "1.12.0");
+  assert.deepEqual(history.versions, [...versions.slice(1), "1.12.0"]);
+  assert.deepEqual(history.counts, {
+    a: Array.from({ length: 12 }, (_, i) => i + 1),
+  });
+});
+
+test("only keeps the history of the top packages in the last two releases", () => {
+  // (10,000 packages with bigger counts than any of the others.)
+  const counts = {};
+  for (let i = 0; i < 10000; i++) {
+    counts[`top-${i}`] = 1000 + i;
+  }
+  Object.assign(counts, { "outside-top": 10, fallen: 5 });
+  const previousHistory = {
+    versions: ["1.0.0"],
+    counts: { fallen: [100000], "top-0": [2] },
+  };
+  const history = extendHistory(previousHistory, counts, "1.1.0");
+  assert.equal(Object.keys(history.counts).length, 10001);
+  assert.deepEqual(history.counts.fallen, [100000, 5]);
+  assert.deepEqual(history.counts["top-0"], [2, 1000]);
+  assert.equal(history.counts["outside-top"], undefined);
+});
+
+// A stand-in for execFileAsync that "downloads" a previous release holding
+// the given files, as npm pack and tar would.
+function fakeReleaseDownload(files) {
+  return async (command, args) => {
+    if (command == "npm") {
+      return {
+        stdout: JSON.stringify([
+          { filename: "download-counts-1.1.0.tgz", version: "1.1.0" },
+        ]),
+      };
+    }
+    const packageDir = path.join(args.at(-1), "package");
+    fs.mkdirSync(packageDir);
+    for (const [name, contents] of Object.entries(files)) {
+      fs.writeFileSync(path.join(packageDir, name), JSON.stringify(contents));
+    }
+    return { stdout: "" };
+  };
+}
+
+test("fills in the previous release's counts for packages its history left out", async () => {
+  const history = await fetchPreviousHistory({
+    fs,
+    execFileAsync: fakeReleaseDownload({
+      "history.json": {
+        versions: ["1.0.0", "1.1.0"],
+        counts: { a: [1, 2] },
+      },
+      "counts.json": { a: 2, b: 3 },
+    }),
+    packageName: "download-counts",
+  });
+  assert.deepEqual(history, {
+    versions: ["1.0.0", "1.1.0"],
+    counts: { a: [1, 2], b: [null, 3] },
+  });
+});
+
+test("treats a previous release with no history as a history of one release", async () => {
+  const history = await fetchPreviousHistory({
+    fs,
+    execFileAsync: fakeReleaseDownload({ "counts.json": { a: 2, b: 3 } }),
+    packageName: "download-counts",
+  });
+  assert.deepEqual(history, {
+    versions: ["1.1.0"],
+    counts: { a: [2], b: [3] },
+  });
+});
+
+test("gives an empty history for a package that's never been published", async () => {
+  const history = await fetchPreviousHistory({
+    fs,
+    execFileAsync: async () => {
+      throw Object.assign(new Error("Command failed: npm pack"), {
+        stdout: "",
+        stderr: "npm error code E404",
+      });
+    },
+    packageName: "download-counts",
+  });
+  assert.deepEqual(history, { versions: [], counts: {} });
+});
@@ -0,0 +1,129 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { isBuiltin } from "node:module";
+import {
+  checkExportFormatsSupported,
+  uploadReleaseAssets,
+  writeExports,
+} from "../build/exports.js";
+import { loadConfig } from "../build/config.js";
+import { computeRanking } from "../build/consolidate.js";
+
+const counts = { lodash: 100, react: 60, "@babel/core": 60, tiny: 0 };
+
+const hasSqlite = isBuiltin("node:sqlite");
+
+async function exportTo(t, formats) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "download-counts-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const outDir = path.join(dir, "exports");
+  const paths = await writeExports({
+    fs,
+    counts,
+    ranking: computeRanking(counts),
+    formats,
+    outDir,
+  });
+  return { outDir, paths };
+}
+
+test("exports the counts as CSV and NDJSON, most downloaded first", async (t) => {
+  const { outDir, paths } = await exportTo(t, ["csv", "ndjson"]);
+  assert.deepEqual(paths, [
+    path.join(outDir, "counts.csv"),
+    path.join(outDir, "counts.ndjson"),
+  ]);
+  assert.equal(
+    fs.readFileSync(paths[0]).toString(),
+    "rank,package,downloads\n1,lodash,100\n2,@babel/core,60\n2,react,60\n4,tiny,0\n",
+  );
+  assert.deepEqual(
+    fs
+      .readFileSync(paths[1])
+      .toString()
+      .trimEnd()
+      .split("\n")
+      .map((line) => JSON.parse(line)),
+    [
+      { rank: 1, package: "lodash", downloads: 100 },
+      { rank: 2, package: "@babel/core", downloads: 60 },
+      { rank: 2, package: "react", downloads: 60 },
+      { rank: 4, package: "tiny", downloads: 0 },
+    ],
+  );
+});
+
+test("doesn't write anything without any formats", async (t) => {
+  const { outDir, paths } = await exportTo(t, []);
+  assert.deepEqual(paths, []);
+  assert.equal(fs.existsSync(outDir), false);
+});
+
+test(
+  "exports the counts as an indexed SQLite database",
+  { skip: !hasSqlite && "this version of Node has no node:sqlite" },
+  async (t) => {
+    const { DatabaseSync } = await import("node:sqlite");
+    const { paths } = await exportTo(t, ["sqlite"]);
+    const db = new DatabaseSync(paths[0]);
+    t.after(() => db.close());
+    assert.deepEqual(
+      db
+        .prepare("SELECT rank, package, downloads FROM counts ORDER BY rank")
+        .all()
+        .map((row) => ({ ...row })),
+      [
+        { rank: 1, package: "lodash", downloads: 100 },
+        { rank: 2, package: "@babel/core", downloads: 60 },
+        { rank: 2, package: "react", downloads: 60 },
+        { rank: 4, package: "tiny", downloads: 0 },
+      ],
+    );
+    assert.deepEqual(
+      db
+        .prepare("SELECT name FROM sqlite_master WHERE type = 'index'")
+        .all()
+        .map(({ name }) => name)
+        .sort(),
+      ["counts_by_package", "counts_by_rank"],
+    );
+  },
+);
+
+test("refuses to start a build that exports to SQLite without node:sqlite", () => {
+  checkExportFormatsSupported(["csv", "ndjson"]);
+  const loadSqliteConfig = () => loadConfig(["--export-formats", "sqlite"], {});
+  if (hasSqlite) {
+    assert.deepEqual(loadSqliteConfig().exportFormats, ["sqlite"]);
+  } else {
+    assert.throws(
+      loadSqliteConfig,
+      /requires a version of Node with node:sqlite/,
+    );
+  }
+});
+
+test("attaches the exports to a GitHub release, creating it if need be", async () => {
+  for (const releaseExists of [false, true]) {
+    const commands = [];
+    await uploadReleaseAssets({
+      execFileAsync: async (command, args) => {
+        commands.push([command, ...args.slice(0, 2)]);
+        if (args[1] == "view" && !releaseExists) {
+          throw new Error("release not found");
+        }
+        return { stdout: "", stderr: "" };
+      },
+      version: "2.20251201.0",
+      paths: ["exports/counts.csv"],
+    });
+    assert.deepEqual(commands, [
+      ["gh", "release", "view"],
+      ...(releaseExists ? [] : [["gh", "release", "create"]]),
+      ["gh", "release", "upload"],
+    ]);
+  }
+});
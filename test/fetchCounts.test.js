@@ -0,0 +1,299 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import {
+  createErrorTracker,
+  createRequestTallies,
+  fetchCountForSinglePackage,
+  fetchCountsForUnscopedBatch,
+  fetchQueuedCounts,
+  recoverBlockedPackage,
+} from "../build/fetchCounts.js";
+import { createInitialState, hasQueuedWork } from "../build/state.js";
+import { applyJournalEntry } from "../build/journal.js";
+import { createMockRegistry } from "../build/mockRegistry.js";
+import { loadConfig } from "../build/config.js";
+
+function emptyShardState() {
+  return {
+    unscopedPackageBatches: [],
+    singlePackages: [],
+    status403Packages: [],
+    packageStatuses: {},
+  };
+}
+
+// A context for the functions that fetch a single work item, whose
+// throttledFetch just gives the given response (or throws, if that's an
+// error) - or, if given a function, whatever that returns for the URL - and
+// which counts the unexpected errors it's told about.
+function createContext(response) {
+  const context = {
+    state: emptyShardState(),
+    counts: {},
+    apiHost: "https://api.example",
+    timeRange: "last-month",
+    endpoint: "point",
+    requestedUrls: [],
+    unexpectedErrors: 0,
+    async throttledFetch(url) {
+      context.requestedUrls.push(url);
+      if (response instanceof Error) {
+        throw response;
+      }
+      return typeof response == "function" ? response(url) : response;
+    },
+    recordUnexpectedError() {
+      context.unexpectedErrors++;
+    },
+  };
+  return context;
+}
+
+const jsonResponse = (status, body) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+
+test("records the counts from a bulk query, and which packages don't exist", async () => {
+  const context = createContext(
+    jsonResponse(200, { a: { downloads: 5 }, b: null, c: { downloads: 0 } }),
+  );
+  await fetchCountsForUnscopedBatch(["a", "b", "c"], context);
+  assert.deepEqual(context.requestedUrls, [
+    "https://api.example/downloads/point/last-month/a,b,c",
+  ]);
+  assert.deepEqual(context.counts, { a: 5, c: 0 });
+  assert.deepEqual(context.state.packageStatuses, { b: "unpublished" });
+  assert.equal(context.unexpectedErrors, 0);
+});
+
+for (const status of [400, 403]) {
+  test(`splits a batch in two after a ${status}`, async () => {
+    const context = createContext(new Response("", { status }));
+    await fetchCountsForUnscopedBatch(["a", "b", "c", "d", "e"], context);
+    assert.deepEqual(context.state.unscopedPackageBatches, [
+      ["a", "b"],
+      ["c", "d", "e"],
+    ]);
+    assert.deepEqual(context.state.singlePackages, []);
+    assert.equal(context.unexpectedErrors, 0);
+  });
+
+  test(`queries the packages in a small batch one by one after a ${status}`, async () => {
+    const context = createContext(new Response("", { status }));
+    await fetchCountsForUnscopedBatch(["a", "b", "c"], context);
+    assert.deepEqual(context.state.unscopedPackageBatches, []);
+    assert.deepEqual(context.state.singlePackages, ["a", "b", "c"]);
+    assert.equal(context.unexpectedErrors, 0);
+  });
+}
+
+test("retries a batch that gets an unexpected status", async () => {
+  const context = createContext(new Response("", { status: 500 }));
+  await fetchCountsForUnscopedBatch(["a", "b"], context);
+  assert.deepEqual(context.state.unscopedPackageBatches, [["a", "b"]]);
+  assert.deepEqual(context.counts, {});
+  assert.equal(context.unexpectedErrors, 1);
+});
+
+test("retries a batch that gets no response at all", async () => {
+  const context = createContext(new Error("Network error"));
+  await fetchCountsForUnscopedBatch(["a", "b"], context);
+  assert.deepEqual(context.state.unscopedPackageBatches, [["a", "b"]]);
+  assert.equal(context.unexpectedErrors, 1);
+});
+
+test("records the count for a single package", async () => {
+  const context = createContext(
+    jsonResponse(200, { package: "@s/a", downloads: 7 }),
+  );
+  await fetchCountForSinglePackage("@s/a", context);
+  assert.deepEqual(context.requestedUrls, [
+    "https://api.example/downloads/point/last-month/@s/a",
+  ]);
+  assert.deepEqual(context.counts, { "@s/a": 7 });
+});
+
+test("sets aside a single package that gets a 403", async () => {
+  const context = createContext(new Response("", { status: 403 }));
+  await fetchCountForSinglePackage("a", context);
+  assert.deepEqual(context.state.status403Packages, ["a"]);
+  assert.deepEqual(context.state.singlePackages, []);
+  assert.equal(context.unexpectedErrors, 0);
+});
+
+test("marks a single package that gets a 404 as unpublished", async () => {
+  const context = createContext(new Response("", { status: 404 }));
+  await fetchCountForSinglePackage("a", context);
+  assert.deepEqual(context.state.packageStatuses, { a: "unpublished" });
+  assert.deepEqual(context.state.singlePackages, []);
+  assert.equal(context.unexpectedErrors, 0);
+});
+
+test("retries a single package that gets an unexpected status", async () => {
+  const context = createContext(new Response("", { status: 502 }));
+  await fetchCountForSinglePackage("a", context);
+  assert.deepEqual(context.state.singlePackages, ["a"]);
+  assert.equal(context.unexpectedErrors, 1);
+});
+
+test("recovers the count of a blocked package by asking another way", async () => {
+  const context = createContext((url) =>
+    url.includes("%61")
+      ? jsonResponse(200, { package: "a", downloads: 9 })
+      : new Response("", { status: 403 }),
+  );
+  await recoverBlockedPackage("a", context);
+  assert.deepEqual(context.requestedUrls, [
+    "https://api.example/downloads/point/last-month/a",
+    "https://api.example/downloads/point/last-month/%61",
+  ]);
+  assert.deepEqual(context.counts, { a: 9 });
+  assert.deepEqual(context.state.packageStatuses, {});
+});
+
+test("marks a package as blocked once every way of asking gets a 403", async () => {
+  const context = createContext(() => new Response("", { status: 403 }));
+  await recoverBlockedPackage("a", context);
+  assert.equal(context.requestedUrls.length, 4);
+  assert.deepEqual(context.state.packageStatuses, { a: "blocked" });
+  assert.deepEqual(context.state.status403Packages, []);
+  assert.equal(context.unexpectedErrors, 0);
+});
+
+test("only tries the ways of asking that make sense for a scoped package", async () => {
+  const context = createContext(() => new Response("", { status: 403 }));
+  await recoverBlockedPackage("@s/a", context);
+  assert.deepEqual(context.requestedUrls, [
+    "https://api.example/downloads/point/last-month/%40s%2Fa",
+    "https://api.example/downloads/point/last-month/%40%73%2F%61",
+    "https://api.example/downloads/range/last-month/@s/a",
+  ]);
+});
+
+test("trusts a 404 to mean a blocked package is unpublished only when asked normally", async () => {
+  const unpublished = createContext(() => new Response("", { status: 404 }));
+  await recoverBlockedPackage("a", unpublished);
+  assert.equal(unpublished.requestedUrls.length, 1);
+  assert.deepEqual(unpublished.state.packageStatuses, { a: "unpublished" });
+
+  // (A 404 for an unusually encoded request doesn't tell us anything.)
+  const blocked = createContext(
+    (url) => new Response("", { status: url.endsWith("/a") ? 403 : 404 }),
+  );
+  await recoverBlockedPackage("a", blocked);
+  assert.equal(blocked.requestedUrls.length, 4);
+  assert.deepEqual(blocked.state.packageStatuses, { a: "blocked" });
+});
+
+test("retries a blocked package that gets an unexpected status", async () => {
+  const context = createContext(() => new Response("", { status: 500 }));
+  await recoverBlockedPackage("a", context);
+  assert.deepEqual(context.state.status403Packages, ["a"]);
+  assert.equal(context.unexpectedErrors, 1);
+});
+
+test("gives up once there have been too many unexpected errors", () => {
+  const tallies = createRequestTallies();
+  const recordUnexpectedError = createErrorTracker(3, tallies);
+  recordUnexpectedError();
+  recordUnexpectedError();
+  assert.throws(recordUnexpectedError, /alarmingly many \(3\)/);
+  assert.equal(tallies.unexpectedErrors, 3);
+});
+
+test("fetches every queued count from the mock registry", async (t) => {
+  const packageNames = [
+    ...Array.from({ length: 300 }, (_, i) => `package-${i}`),
+    "waf-trigger-example",
+    "always-blocked-example",
+    "unpublished-example",
+    "@scope/unpublished-example",
+    "@scope/a",
+    "flaky",
+  ];
+  const server = createMockRegistry({ packageNames });
+  server.listen(0);
+  await once(server, "listening");
+  t.after(() => server.close());
+  const apiHost = `http://localhost:${server.address().port}`;
+  const config = loadConfig(
+    [
+      "--api-host",
+      apiHost,
+      "--initial-request-interval-ms",
+      "0",
+      "--min-request-interval-ms",
+      "0",
+    ],
+    {},
+  );
+
+  const [workShard] = createInitialState(packageNames, ["last-month"], 1)
+    .ranges["last-month"].workShards;
+  // (The mock registry doesn't fail at random, so we make the first request
+  // for "flaky" on its own fail for it, to check that it gets retried.)
+  let failedFlaky = false;
+  const flakyFetch = async (url) => {
+    if (url.endsWith("/flaky") && !failedFlaky) {
+      failedFlaky = true;
+      return new Response("", { status: 500 });
+    }
+    return await fetch(url);
+  };
+  const journalEntries = [];
+  const counts = {};
+  const tallies = createRequestTallies();
+  await fetchQueuedCounts({
+    state: workShard,
+    timeRange: "last-month",
+    counts,
+    config,
+    fetch: flakyFetch,
+    journal: { record: (entry) => journalEntries.push(entry) },
+    tallies,
+  });
+
+  // Everything that exists got counted, except for the package that's
+  // blocked however we ask for it.
+  assert.deepEqual(
+    Object.keys(counts).sort(),
+    packageNames
+      .filter((name) => !/unpublished|always-blocked/.test(name))
+      .sort(),
+  );
+  assert.deepEqual(workShard.packageStatuses, {
+    "unpublished-example": "unpublished",
+    "@scope/unpublished-example": "unpublished",
+    "always-blocked-example": "blocked",
+  });
+  assert.ok(!hasQueuedWork(workShard));
+
+  // The journal records the same outcome, one work item at a time:
+  const replayedShard = emptyShardState();
+  const replayedCounts = {};
+  for (const entry of journalEntries) {
+    applyJournalEntry(replayedShard, replayedCounts, entry);
+  }
+  assert.deepEqual(replayedCounts, counts);
+  assert.deepEqual(replayedShard.packageStatuses, workShard.packageStatuses);
+
+  // Items that got split up or marked as unpublished count as completed, but
+  // ones that were just put back to retry don't.
+  const requeuedAsIs = journalEntries.filter(({ item, requeue }) =>
+    requeue.some(
+      ([, requeuedItem]) =>
+        JSON.stringify(requeuedItem) == JSON.stringify(item),
+    ),
+  );
+  assert.ok(requeuedAsIs.some(({ item }) => item == "flaky"));
+  assert.equal(
+    tallies.itemsCompleted,
+    journalEntries.length - requeuedAsIs.length,
+  );
+  assert.equal(tallies.unexpectedErrors, 1);
+  assert.equal(tallies.responsesByStatus[500], 1);
+  assert.ok(tallies.responsesByStatus[403] > 0);
+});
@@ -0,0 +1,129 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import {
+  createEntryRecorder,
+  journalPath,
+  openJournal,
+  replayJournal,
+} from "../build/journal.js";
+
+// Journals live in WORK_DIR, relative to the checkout of the build branch, so
+// each test runs in a fresh directory standing in for one.
+function useTempDir(t) {
+  const originalDir = process.cwd();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "download-counts-test-"));
+  process.chdir(dir);
+  t.after(() => {
+    process.chdir(originalDir);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+}
+
+// A work shard's state as last saved.
+function savedShard() {
+  return {
+    id: "last-month-0",
+    countsFilesPrefix: "work/last-month-0-counts",
+    countsFilesSoFar: 2,
+    unscopedPackageBatches: [
+      ["a", "b"],
+      ["c", "d", "e", "f"],
+    ],
+    singlePackages: ["@s/x", "@s/y"],
+    status403Packages: [],
+    packageStatuses: {},
+  };
+}
+
+// Records in the journal what a run might do with each of the items at the
+// ends of the queues: getting counts for a batch, splitting another, and
+// getting a 404 for a package.
+function recordWork(journal) {
+  const batch = createEntryRecorder("unscopedPackageBatches", [
+    "c",
+    "d",
+    "e",
+    "f",
+  ]);
+  batch.state.unscopedPackageBatches.push(["c", "d"], ["e", "f"]);
+  journal.record(batch.entry);
+  const single = createEntryRecorder("singlePackages", "@s/y");
+  single.state.packageStatuses["@s/y"] = "unpublished";
+  journal.record(single.entry);
+  const split = createEntryRecorder("unscopedPackageBatches", ["e", "f"]);
+  split.counts.e = 5;
+  split.counts.f = 6;
+  journal.record(split.entry);
+}
+
+test("recovers the work of a run that crashed from its journal", (t) => {
+  useTempDir(t);
+  recordWork(openJournal(fs, savedShard()));
+  const workShard = savedShard();
+  const counts = {};
+  assert.equal(replayJournal(fs, workShard, counts), 3);
+  assert.deepEqual(counts, { e: 5, f: 6 });
+  assert.deepEqual(workShard, {
+    ...savedShard(),
+    unscopedPackageBatches: [
+      ["a", "b"],
+      ["c", "d"],
+    ],
+    singlePackages: ["@s/x"],
+    packageStatuses: { "@s/y": "unpublished" },
+  });
+});
+
+test("carries on recording after the entries of a crashed run", (t) => {
+  useTempDir(t);
+  const journal = openJournal(fs, savedShard());
+  recordWork(journal);
+  // (Reopening the journal, as the next run would, doesn't lose them.)
+  const single = createEntryRecorder("singlePackages", "@s/x");
+  single.counts["@s/x"] = 1;
+  openJournal(fs, savedShard()).record(single.entry);
+  const workShard = savedShard();
+  const counts = {};
+  assert.equal(replayJournal(fs, workShard, counts), 4);
+  assert.deepEqual(workShard.singlePackages, []);
+});
+
+test("ignores an entry the process died while writing", (t) => {
+  useTempDir(t);
+  recordWork(openJournal(fs, savedShard()));
+  const contents = fs.readFileSync(journalPath("last-month-0")).toString();
+  fs.writeFileSync(journalPath("last-month-0"), contents.slice(0, -10));
+  const workShard = savedShard();
+  const counts = {};
+  assert.equal(replayJournal(fs, workShard, counts), 2);
+  assert.deepEqual(counts, {});
+  // (The batch the last entry was for is still queued, to fetch again.)
+  assert.deepEqual(workShard.unscopedPackageBatches.at(-1), ["e", "f"]);
+});
+
+test("ignores entries for items that aren't queued", (t) => {
+  useTempDir(t);
+  const journal = openJournal(fs, savedShard());
+  const unqueued = createEntryRecorder("singlePackages", "@s/z");
+  unqueued.counts["@s/z"] = 1;
+  journal.record(unqueued.entry);
+  const counts = {};
+  assert.equal(replayJournal(fs, savedShard(), counts), 0);
+  assert.deepEqual(counts, {});
+});
+
+test("discards a journal whose work was saved before the run crashed", (t) => {
+  useTempDir(t);
+  recordWork(openJournal(fs, savedShard()));
+  const workShard = { ...savedShard(), countsFilesSoFar: 3 };
+  assert.equal(replayJournal(fs, workShard, {}), 0);
+  assert.equal(fs.existsSync(journalPath("last-month-0")), false);
+});
+
+test("replays nothing without a journal", (t) => {
+  useTempDir(t);
+  assert.equal(replayJournal(fs, savedShard(), {}), 0);
+});
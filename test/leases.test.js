@@ -0,0 +1,143 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import {
+  claimLease,
+  isLeaseClaimable,
+  leasePath,
+  needsLeases,
+  releaseLease,
+} from "../build/leases.js";
+
+const NOW = Date.UTC(2025, 11, 1);
+
+// Leases live in WORK_DIR, relative to the checkout of the build branch, so
+// each test runs in a fresh directory standing in for one, with git faked
+// out to record what it's asked to commit and to push successfully unless
+// told otherwise.
+function setUp(t, { pushSucceeds = true } = {}) {
+  const originalDir = process.cwd();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "download-counts-test-"));
+  process.chdir(dir);
+  t.after(() => {
+    process.chdir(originalDir);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  const commits = [];
+  let pendingPaths = [];
+  const git = {
+    async add(...paths) {
+      pendingPaths.push(...paths);
+    },
+    async commitAndPush(message) {
+      commits.push({ message, paths: pendingPaths });
+      pendingPaths = [];
+      return pushSucceeds;
+    },
+  };
+  return { git, commits };
+}
+
+const config = (runnerId) => ({ runnerId, leaseDurationMs: 1000 });
+
+test("only takes out leases when the work is split between several runners", () => {
+  const state = {
+    ranges: { "last-month": { workShards: [{ id: "last-month-0" }] } },
+    dailySeries: null,
+    maintainers: { workShards: [{ id: "maintainers-0" }] },
+  };
+  assert.equal(needsLeases(state, { workShards: 1 }), false);
+  assert.equal(needsLeases(state, { workShards: 2 }), true);
+  state.maintainers.workShards.push({ id: "maintainers-1" });
+  assert.equal(needsLeases(state, { workShards: 1 }), true);
+});
+
+test("claims a lease by committing it", async (t) => {
+  const { git, commits } = setUp(t);
+  assert.equal(isLeaseClaimable(fs, "last-month-0", "a", NOW), true);
+  assert.equal(
+    await claimLease({
+      fs,
+      git,
+      id: "last-month-0",
+      config: config("a"),
+      now: NOW,
+    }),
+    true,
+  );
+  assert.deepEqual(commits, [
+    { message: "Lease last-month-0 to a", paths: [leasePath("last-month-0")] },
+  ]);
+  assert.deepEqual(JSON.parse(fs.readFileSync(leasePath("last-month-0"))), {
+    runnerId: "a",
+    expiresAtMs: NOW + 1000,
+  });
+});
+
+test("doesn't claim a lease another runner holds until it expires", async (t) => {
+  const { git, commits } = setUp(t);
+  await claimLease({
+    fs,
+    git,
+    id: "last-month-0",
+    config: config("a"),
+    now: NOW,
+  });
+  assert.equal(isLeaseClaimable(fs, "last-month-0", "b", NOW + 999), false);
+  assert.equal(
+    await claimLease({
+      fs,
+      git,
+      id: "last-month-0",
+      config: config("b"),
+      now: NOW + 999,
+    }),
+    false,
+  );
+  assert.equal(commits.length, 1);
+
+  // (The holder itself can always reclaim it, e.g. after crashing.)
+  assert.equal(isLeaseClaimable(fs, "last-month-0", "a", NOW + 999), true);
+
+  assert.equal(isLeaseClaimable(fs, "last-month-0", "b", NOW + 1000), true);
+  assert.equal(
+    await claimLease({
+      fs,
+      git,
+      id: "last-month-0",
+      config: config("b"),
+      now: NOW + 1000,
+    }),
+    true,
+  );
+  assert.equal(
+    JSON.parse(fs.readFileSync(leasePath("last-month-0"))).runnerId,
+    "b",
+  );
+});
+
+test("fails to claim a lease if another runner pushed first", async (t) => {
+  const { git } = setUp(t, { pushSucceeds: false });
+  assert.equal(
+    await claimLease({ fs, git, id: "publish", config: config("a"), now: NOW }),
+    false,
+  );
+});
+
+test("releases a lease by deleting it", async (t) => {
+  const { git } = setUp(t);
+  await claimLease({
+    fs,
+    git,
+    id: "last-month-0",
+    config: config("a"),
+    now: NOW,
+  });
+  assert.equal(releaseLease(fs, "last-month-0"), leasePath("last-month-0"));
+  assert.equal(fs.existsSync(leasePath("last-month-0")), false);
+  assert.equal(isLeaseClaimable(fs, "last-month-0", "b", NOW), true);
+  // (Releasing it again is harmless.)
+  releaseLease(fs, "last-month-0");
+});
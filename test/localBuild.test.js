@@ -0,0 +1,98 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { once } from "node:events";
+import { buildLocally } from "../build/localBuild.js";
+import { loadConfig } from "../build/config.js";
+import { createMockRegistry } from "../build/mockRegistry.js";
+
+const PACKAGE_NAMES = [
+  ...Array.from({ length: 20 }, (_, i) => `package-${i}`),
+  "@team/a",
+  "@team/b",
+  "waf-trigger-example",
+  "unpublished-example",
+];
+
+test("builds a whole release in one go, without git or npm", async (t) => {
+  const server = createMockRegistry({ packageNames: PACKAGE_NAMES });
+  server.listen(0);
+  await once(server, "listening");
+  const mockUrl = `http://localhost:${server.address().port}`;
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "download-counts-test-"));
+  t.after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    server.close();
+  });
+  const namesPath = path.join(dir, "names.txt");
+  fs.writeFileSync(namesPath, PACKAGE_NAMES.join("\n"));
+  const outDir = path.join(dir, "out");
+  const config = loadConfig(
+    [
+      ...["--output-dir", outDir],
+      ...["--name-sources", `file:${namesPath}`],
+      ...["--api-host", mockUrl],
+      ...["--registry-host", mockUrl],
+      ...["--time-ranges", "last-month,last-week"],
+      ...["--initial-request-interval-ms", "0"],
+      ...["--min-request-interval-ms", "0"],
+      // (So that each time range's counts end up in several counts files.)
+      ...["--queries-per-run", "2"],
+      ...["--daily-series-top-n", "3"],
+      ...["--maintainers-top-n", "3"],
+      ...["--export-formats", "csv"],
+    ],
+    {},
+  );
+  const listFiles = () => [
+    ...fs.readdirSync("."),
+    ...fs
+      .readdirSync(os.tmpdir())
+      .filter((name) => name.startsWith("download-counts-local-")),
+  ];
+  const filesBefore = listFiles();
+
+  assert.equal(
+    await buildLocally({
+      version: "2.20251201.0",
+      config,
+      fs,
+      fetch,
+      execFileAsync: async (command) => {
+        throw new Error(`Unexpectedly ran ${command}`);
+      },
+    }),
+    0,
+  );
+
+  const readJson = (...segments) =>
+    JSON.parse(fs.readFileSync(path.join(outDir, ...segments)).toString());
+  const counts = readJson("counts.json");
+  assert.deepEqual(
+    Object.keys(counts).sort(),
+    PACKAGE_NAMES.filter((name) => !name.startsWith("unpublished-")).sort(),
+  );
+  assert.deepEqual(readJson("status.json"), {
+    "unpublished-example": "unpublished",
+  });
+  assert.deepEqual(readJson("timeRanges.json"), ["last-month", "last-week"]);
+  assert.equal(
+    Object.keys(readJson("ranges", "last-week", "counts.json")).length,
+    Object.keys(counts).length,
+  );
+  assert.deepEqual(
+    Object.keys(readJson("daily.json").counts).sort(),
+    readJson("ranking.json").slice(0, 3).sort(),
+  );
+  // (There's no previous release to extend the history of.)
+  assert.deepEqual(readJson("history.json").versions, ["2.20251201.0"]);
+  assert.equal(readJson("metadata.json").nameSources[0].packageCount, 24);
+  assert.equal(
+    fs.readFileSync(path.join(outDir, "counts.csv")).toString().split("\n")[0],
+    "rank,package,downloads",
+  );
+  // Nothing gets left anywhere else.
+  assert.deepEqual(listFiles(), filesBefore);
+});
@@ -0,0 +1,144 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { once } from "node:events";
+import { isValidNameSource, loadPackageNames } from "../build/nameSources.js";
+import { createMockRegistry } from "../build/mockRegistry.js";
+
+// Writes a file with the given contents in a temporary directory, returning
+// its path.
+function writeTempFile(t, contents) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "download-counts-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, "names");
+  fs.writeFileSync(filePath, contents);
+  return filePath;
+}
+
+// A stand-in for execFileAsync that "installs" an all-the-package-names
+// package holding the given names, recording the specs it was asked for.
+function fakeNpmInstall(names, specs) {
+  return async (command, [, , prefix, spec]) => {
+    assert.equal(command, "npm");
+    specs.push(spec);
+    const dir = path.join(prefix, "node_modules", "all-the-package-names");
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, "names.json"), JSON.stringify(names));
+    fs.writeFileSync(
+      path.join(dir, "package.json"),
+      JSON.stringify({ version: "2.0.1" }),
+    );
+    return { stdout: "", stderr: "" };
+  };
+}
+
+test("recognises each form of name source", () => {
+  for (const source of [
+    "all-the-package-names",
+    "all-the-package-names@1.3.905",
+    "all-the-package-names@latest",
+    "couchdb:https://replicate.npmjs.com/registry",
+    "couchdb:http://localhost:8080",
+    "file:names.txt",
+    "file:C:\\names.json",
+  ]) {
+    assert.equal(isValidNameSource(source), true, source);
+  }
+  for (const source of [
+    "all-the-package-names@",
+    "all-the-package-names1.0.0",
+    "couchdb:replicate.npmjs.com",
+    "couchdb:",
+    "file:",
+    "names.txt",
+    "ftp:names.txt",
+  ]) {
+    assert.equal(isValidNameSource(source), false, source);
+  }
+});
+
+test("reads names from a file of one name per line", async (t) => {
+  const filePath = writeTempFile(t, "react\r\n  lodash \n\n@babel/core\n");
+  const { packageNames, nameSources } = await loadPackageNames({
+    sources: [`file:${filePath}`],
+    fs,
+  });
+  assert.deepEqual(packageNames, ["react", "lodash", "@babel/core"]);
+  assert.equal(nameSources[0].packageCount, 3);
+  assert.match(nameSources[0].version, /^sha256:[0-9a-f]{64}$/);
+});
+
+test("reads names from a file holding a JSON array", async (t) => {
+  const filePath = writeTempFile(t, '\n ["react", "@babel/core"]');
+  const { packageNames } = await loadPackageNames({
+    sources: [`file:${filePath}`],
+    fs,
+  });
+  assert.deepEqual(packageNames, ["react", "@babel/core"]);
+});
+
+test("rejects a JSON file that isn't an array of names", async (t) => {
+  for (const [contents, message] of [
+    ['["react", 5]', /must hold a JSON array of package names/],
+    ['["react", ""]', /must hold a JSON array of package names/],
+    ['[["react"]]', /must hold a JSON array of package names/],
+    ['["react",', /looks like JSON, but isn't valid JSON/],
+  ]) {
+    const filePath = writeTempFile(t, contents);
+    await assert.rejects(
+      loadPackageNames({ sources: [`file:${filePath}`], fs }),
+      message,
+      contents,
+    );
+  }
+});
+
+test("installs the requested version of all-the-package-names", async () => {
+  const specs = [];
+  const { packageNames, nameSources } = await loadPackageNames({
+    sources: ["all-the-package-names", "all-the-package-names@2.0.1"],
+    fs,
+    execFileAsync: fakeNpmInstall(["react", "lodash"], specs),
+  });
+  assert.deepEqual(specs, [
+    "all-the-package-names@latest",
+    "all-the-package-names@2.0.1",
+  ]);
+  assert.deepEqual(packageNames, ["react", "lodash"]);
+  assert.deepEqual(nameSources[0], {
+    source: "all-the-package-names",
+    version: "2.0.1",
+    packageCount: 2,
+  });
+});
+
+test("combines the names from every source", async (t) => {
+  const server = createMockRegistry({
+    packageNames: ["react", "@scope/private", "lodash"],
+  });
+  server.listen(0);
+  await once(server, "listening");
+  t.after(() => server.close());
+  const filePath = writeTempFile(t, "lodash\nextra\n");
+  const { packageNames, nameSources } = await loadPackageNames({
+    sources: [
+      `couchdb:http://localhost:${server.address().port}/`,
+      `file:${filePath}`,
+    ],
+    fs,
+    fetch,
+  });
+  assert.deepEqual(packageNames.sort(), [
+    "@scope/private",
+    "extra",
+    "lodash",
+    "react",
+  ]);
+  assert.equal(nameSources[0].version, "3-mock");
+  assert.deepEqual(
+    nameSources.map(({ packageCount }) => packageCount),
+    [3, 2],
+  );
+});
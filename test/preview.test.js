@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createPreviewState, isPreviewReady } from "../build/preview.js";
+
+const previousCounts = { a: 30, b: 20, "@s/c": 10, d: 1 };
+
+function createState() {
+  const workShard = (id) => ({
+    id,
+    singlePackages: [],
+    unscopedPackageBatches: [],
+    status403Packages: [],
+    packageStatuses: {},
+  });
+  return {
+    ranges: {
+      "last-month": {
+        workShards: [workShard("last-month-0"), workShard("last-month-1")],
+      },
+      "last-week": { workShards: [workShard("last-week-0")] },
+    },
+    preview: createPreviewState(previousCounts, 3),
+  };
+}
+
+test("waits for the previous release's top packages", () => {
+  assert.deepEqual(createPreviewState(previousCounts, 3), {
+    packages: ["a", "b", "@s/c"],
+    published: false,
+  });
+});
+
+test("isn't ready while any of the packages it waits for are queued", () => {
+  for (const queue of [
+    "singlePackages",
+    "unscopedPackageBatches",
+    "status403Packages",
+  ]) {
+    const state = createState();
+    state.ranges["last-month"].workShards[1][queue].push(
+      queue == "unscopedPackageBatches" ? ["d", "b"] : "b",
+    );
+    assert.equal(isPreviewReady(state), false, queue);
+  }
+});
+
+test("is ready once only other packages are queued", () => {
+  const state = createState();
+  assert.equal(isPreviewReady(state), true);
+  state.ranges["last-month"].workShards[0].unscopedPackageBatches.push(["d"]);
+  // (Only the primary time range counts.)
+  state.ranges["last-week"].workShards[0].singlePackages.push("a");
+  assert.equal(isPreviewReady(state), true);
+});
@@ -0,0 +1,155 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createQueryApi } from "../query.js";
+import { computeAggregates, computeRanking } from "../build/consolidate.js";
+
+const counts = {
+  "@babel/core": 50,
+  "@babel/parser": 30,
+  "@types/node": 40,
+  lodash: 100,
+  react: 30,
+  tiny: 0,
+};
+const ranking = computeRanking(counts);
+
+function createApi() {
+  return createQueryApi({
+    counts,
+    ranking,
+    statuses: {
+      "gone-package": "unpublished",
+      "waf-package": "blocked",
+      "another-waf-package": "blocked",
+    },
+    scopes: computeAggregates(counts, ranking, (name) =>
+      name.startsWith("@") ? [name.split("/")[0]] : [],
+    ),
+    maintainers: computeAggregates(counts, ranking, (name) =>
+      name == "lodash" || name == "react" ? ["someone"] : [],
+    ),
+  });
+}
+
+test("looks up counts", () => {
+  const { getCount } = createApi();
+  assert.equal(getCount("lodash"), 100);
+  assert.equal(getCount("tiny"), 0);
+  assert.equal(getCount("nonexistent"), undefined);
+  // (Not fooled by names that are properties of every object.)
+  assert.equal(getCount("constructor"), undefined);
+});
+
+test("lists the top packages, optionally by scope and minimum count", () => {
+  const { topPackages } = createApi();
+  assert.deepEqual(topPackages(3), [
+    ["lodash", 100],
+    ["@babel/core", 50],
+    ["@types/node", 40],
+  ]);
+  assert.deepEqual(topPackages(10, { scope: "@babel" }), [
+    ["@babel/core", 50],
+    ["@babel/parser", 30],
+  ]);
+  assert.deepEqual(topPackages(10, { scope: "babel" }), [
+    ["@babel/core", 50],
+    ["@babel/parser", 30],
+  ]);
+  assert.deepEqual(topPackages(10, { minCount: 40 }), [
+    ["lodash", 100],
+    ["@babel/core", 50],
+    ["@types/node", 40],
+  ]);
+  assert.deepEqual(topPackages(1, { scope: "@babel", minCount: 40 }), [
+    ["@babel/core", 50],
+  ]);
+  assert.deepEqual(topPackages(0), []);
+});
+
+test("gives packages with equal counts the same rank", () => {
+  const { rank } = createApi();
+  assert.equal(rank("lodash"), 1);
+  assert.equal(rank("@types/node"), 3);
+  assert.equal(rank("@babel/parser"), 4);
+  assert.equal(rank("react"), 4);
+  assert.equal(rank("tiny"), 6);
+  assert.equal(rank("nonexistent"), undefined);
+});
+
+test("gives the percentage of packages with fewer downloads", () => {
+  const { percentile } = createApi();
+  assert.equal(percentile("lodash"), (100 * 5) / 6);
+  assert.equal(percentile("react"), (100 * 1) / 6);
+  assert.equal(percentile("@babel/parser"), (100 * 1) / 6);
+  assert.equal(percentile("tiny"), 0);
+  assert.equal(percentile("nonexistent"), undefined);
+});
+
+test("lists the packages above a threshold", () => {
+  const { packagesAbove } = createApi();
+  assert.deepEqual(packagesAbove(40), [
+    ["lodash", 100],
+    ["@babel/core", 50],
+  ]);
+  assert.deepEqual(packagesAbove(1000), []);
+  assert.equal(packagesAbove(-1).length, 6);
+});
+
+test("says why packages are missing", () => {
+  const { getStatus, isBlocked, blockedPackages } = createApi();
+  assert.equal(getStatus("lodash"), "counted");
+  assert.equal(getStatus("gone-package"), "unpublished");
+  assert.equal(getStatus("waf-package"), "blocked");
+  assert.equal(getStatus("brand-new-package"), "unqueried");
+  assert.equal(isBlocked("waf-package"), true);
+  assert.equal(isBlocked("lodash"), false);
+  assert.deepEqual(blockedPackages(), ["another-waf-package", "waf-package"]);
+});
+
+test("gives totals for scopes and maintainers", () => {
+  const { getScopeStats, getMaintainerStats } = createApi();
+  assert.deepEqual(getScopeStats("babel"), {
+    total: 80,
+    packages: 2,
+    topPackages: [
+      ["@babel/core", 50],
+      ["@babel/parser", 30],
+    ],
+  });
+  assert.deepEqual(getScopeStats("@babel"), getScopeStats("babel"));
+  assert.equal(getScopeStats("@nonexistent"), undefined);
+  assert.deepEqual(getMaintainerStats("someone"), {
+    total: 130,
+    packages: 2,
+    topPackages: [
+      ["lodash", 100],
+      ["react", 30],
+    ],
+  });
+  assert.equal(getMaintainerStats("constructor"), undefined);
+});
+
+test("only reads the data a query needs", () => {
+  const read = [];
+  const data = { counts };
+  for (const [key, value] of Object.entries({
+    ranking,
+    statuses: {},
+    scopes: {},
+    maintainers: {},
+  })) {
+    Object.defineProperty(data, key, {
+      get() {
+        read.push(key);
+        return value;
+      },
+    });
+  }
+  const { getCount, rank, getStatus } = createQueryApi(data);
+  getCount("lodash");
+  assert.deepEqual(read, []);
+  rank("lodash");
+  assert.deepEqual([...new Set(read)], ["ranking"]);
+  getStatus("nonexistent");
+  assert.deepEqual([...new Set(read)], ["ranking", "statuses"]);
+});
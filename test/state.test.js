@@ -0,0 +1,123 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import {
+  SCHEMA_VERSION,
+  STATE_PATH,
+  createDailySeriesState,
+  createInitialState,
+  loadState,
+  saveState,
+  workShardPath,
+} from "../build/state.js";
+
+// The state lives in the checkout of the build branch, so each test runs in a
+// fresh directory standing in for one.
+function useTempDir(t) {
+  const originalDir = process.cwd();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "download-counts-test-"));
+  process.chdir(dir);
+  t.after(() => {
+    process.chdir(originalDir);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+}
+
+const readJson = (path) => JSON.parse(fs.readFileSync(path).toString());
+
+test("saves and loads the state, with each work shard in its own file", (t) => {
+  useTempDir(t);
+  const state = createInitialState(["a", "b", "@s/c"], ["last-month"], 2);
+  state.dailySeries = createDailySeriesState(["a"], 1);
+  state.published = true;
+  saveState(fs, state);
+  assert.deepEqual(readJson(STATE_PATH), {
+    schemaVersion: SCHEMA_VERSION,
+    ranges: { "last-month": { workShards: ["last-month-0", "last-month-1"] } },
+    dailySeries: { workShards: ["daily-0"] },
+    published: true,
+  });
+  assert.deepEqual(
+    readJson(workShardPath("last-month-1")),
+    state.ranges["last-month"].workShards[1],
+  );
+  assert.deepEqual(loadState(fs, "last-month"), state);
+});
+
+test("doesn't find a state before the build has started", (t) => {
+  useTempDir(t);
+  assert.equal(loadState(fs, "last-month"), null);
+});
+
+test("migrates a state file from before the format was versioned", (t) => {
+  useTempDir(t);
+  const flatState = {
+    countsFilesSoFar: 3,
+    singlePackages: ["@s/c"],
+    unscopedPackageBatches: [["a", "b"]],
+    status403Packages: ["d"],
+  };
+  fs.writeFileSync(STATE_PATH, JSON.stringify(flatState));
+  const workShard = {
+    id: "last-week-0",
+    countsFilesPrefix: "counts",
+    packageStatuses: {},
+    ...flatState,
+  };
+  assert.deepEqual(loadState(fs, "last-week"), {
+    ranges: { "last-week": { workShards: [workShard] } },
+    nameSources: [
+      { source: "all-the-package-names", version: null, packageCount: null },
+    ],
+  });
+  // (Rewriting the files, ready to commit.)
+  assert.equal(readJson(STATE_PATH).schemaVersion, SCHEMA_VERSION);
+  assert.deepEqual(readJson(workShardPath("last-week-0")), workShard);
+  assert.deepEqual(loadState(fs, "last-week").ranges["last-week"], {
+    workShards: [workShard],
+  });
+});
+
+test("keeps whether a flat state's release was published", (t) => {
+  useTempDir(t);
+  fs.writeFileSync(
+    STATE_PATH,
+    JSON.stringify({
+      countsFilesSoFar: 1,
+      singlePackages: [],
+      unscopedPackageBatches: [],
+      status403Packages: [],
+      published: true,
+    }),
+  );
+  const state = loadState(fs, "last-month");
+  assert.equal(state.published, true);
+  assert.equal(state.ranges["last-month"].workShards[0].published, undefined);
+});
+
+test("refuses state written by a newer version of the build", (t) => {
+  useTempDir(t);
+  fs.writeFileSync(
+    STATE_PATH,
+    JSON.stringify({ schemaVersion: SCHEMA_VERSION + 1, ranges: {} }),
+  );
+  assert.throws(
+    () => loadState(fs, "last-month"),
+    new RegExp(`version ${SCHEMA_VERSION + 1} of the format`),
+  );
+});
+
+test("refuses a malformed work shard", (t) => {
+  useTempDir(t);
+  saveState(fs, createInitialState(["a"], ["last-month"], 1));
+  const workShard = readJson(workShardPath("last-month-0"));
+  delete workShard.singlePackages;
+  workShard.countsFilesSoFar = "1";
+  fs.writeFileSync(workShardPath("last-month-0"), JSON.stringify(workShard));
+  assert.throws(
+    () => loadState(fs, "last-month"),
+    /Malformed work shard in work\/last-month-0.json: countsFilesSoFar isn't an integer; singlePackages isn't an array/,
+  );
+});
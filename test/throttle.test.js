@@ -0,0 +1,177 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createRateLimitState,
+  createThrottledFetcher,
+  summarizeRateLimitState,
+} from "../build/throttle.js";
+import { loadConfig } from "../build/config.js";
+
+// A fake clock, so that we can see exactly how long the throttled fetcher
+// waits without actually waiting. Time only passes while something waits for
+// a sleep: awaiting one moves the clock on to when it ends, if it hasn't got
+// there already. (So sleep returns a bare thenable, which knows when it's
+// awaited, rather than a promise.)
+function createClock() {
+  const clock = {
+    nowMs: 0,
+    now: () => clock.nowMs,
+    sleep(ms) {
+      const endMs = clock.nowMs + ms;
+      return {
+        then(resolve) {
+          clock.nowMs = Math.max(clock.nowMs, endMs);
+          resolve();
+        },
+      };
+    },
+  };
+  return clock;
+}
+
+// A fake fetch that gives the given responses in turn (repeating the last one
+// forever), recording when each request was made.
+function createFakeFetch(clock, responses) {
+  const fakeFetch = async (url) => {
+    const { status = 200, headers = {} } =
+      responses[Math.min(fakeFetch.requests.length, responses.length - 1)];
+    const resp = {
+      status,
+      headers: new Headers(headers),
+      body: {
+        async cancel() {
+          fakeFetch.cancelled++;
+        },
+      },
+    };
+    fakeFetch.requests.push({ url, atMs: clock.nowMs });
+    return resp;
+  };
+  fakeFetch.requests = [];
+  fakeFetch.cancelled = 0;
+  return fakeFetch;
+}
+
+function createFetcher(clock, responses, intervalMs = 1000) {
+  const fetch = createFakeFetch(clock, responses);
+  const rateLimitState = createRateLimitState({
+    intervalMs,
+    minIntervalMs: 500,
+    maxIntervalMs: 60000,
+    now: clock.now,
+  });
+  const throttledFetch = createThrottledFetcher({
+    fetch,
+    rateLimitState,
+    sleep: clock.sleep,
+    now: clock.now,
+  });
+  return { fetch, rateLimitState, throttledFetch };
+}
+
+test("waits the current interval between starting requests", async () => {
+  const clock = createClock();
+  const { fetch, throttledFetch } = createFetcher(clock, [{}]);
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await throttledFetch(`url${i}`)).status, 200);
+  }
+  assert.deepEqual(
+    fetch.requests.map(({ atMs }) => atMs),
+    [0, 1000, 2000],
+  );
+});
+
+test("keeps the initial interval within the configured bounds", () => {
+  const bounds = { minIntervalMs: 500, maxIntervalMs: 2000 };
+  assert.equal(
+    createRateLimitState({ intervalMs: 100, ...bounds }).intervalMs,
+    500,
+  );
+  assert.equal(
+    createRateLimitState({ intervalMs: 5000, ...bounds }).intervalMs,
+    2000,
+  );
+});
+
+test("waits as long as a 429's Retry-After header says, and slows down", async () => {
+  const clock = createClock();
+  const { fetch, rateLimitState, throttledFetch } = createFetcher(clock, [
+    { status: 429, headers: { "Retry-After": "30" } },
+    {},
+  ]);
+  assert.equal((await throttledFetch("url")).status, 200);
+  assert.equal(fetch.requests.length, 2);
+  assert.equal(fetch.requests[1].atMs, 30000);
+  assert.equal(rateLimitState.intervalMs, 2000);
+  assert.equal(rateLimitState.metrics.rateLimitedResponses, 1);
+  assert.equal(fetch.cancelled, 1);
+});
+
+test("pauses for longer after each 429 in a row without a Retry-After", async () => {
+  const clock = createClock();
+  const { fetch, throttledFetch } = createFetcher(clock, [
+    { status: 429 },
+    { status: 429 },
+    {},
+  ]);
+  assert.equal((await throttledFetch("url")).status, 200);
+  const gaps = fetch.requests
+    .slice(1)
+    .map(({ atMs }, i) => atMs - fetch.requests[i].atMs);
+  assert.deepEqual(gaps, [60000, 120000]);
+});
+
+test("slows down and retries after a Cloudflare challenge", async () => {
+  const clock = createClock();
+  const { fetch, rateLimitState, throttledFetch } = createFetcher(clock, [
+    { status: 403, headers: { "cf-mitigated": "challenge" } },
+    {},
+  ]);
+  assert.equal((await throttledFetch("url")).status, 200);
+  assert.equal(fetch.requests.length, 2);
+  assert.equal(rateLimitState.metrics.challenges, 1);
+  assert.equal(rateLimitState.intervalMs, 2000);
+});
+
+test("gives up on a request that keeps getting 429s", async () => {
+  const clock = createClock();
+  const { fetch, throttledFetch } = createFetcher(clock, [{ status: 429 }]);
+  await assert.rejects(throttledFetch("url"), /Still told to slow down/);
+  // (The first attempt, plus the retries, and every response discarded.)
+  assert.equal(fetch.requests.length, 8);
+  assert.equal(fetch.cancelled, 8);
+});
+
+test("speeds up after enough responses in a row that aren't 429s", async () => {
+  const clock = createClock();
+  const { rateLimitState, throttledFetch } = createFetcher(clock, [{}]);
+  for (let i = 0; i < 50; i++) {
+    await throttledFetch("url");
+  }
+  assert.equal(rateLimitState.intervalMs, 900);
+  assert.equal(
+    summarizeRateLimitState(rateLimitState, clock.now).shortestIntervalMs,
+    900,
+  );
+});
+
+test("has room to speed up from the default initial interval", async () => {
+  const config = loadConfig([], {});
+  const clock = createClock();
+  const rateLimitState = createRateLimitState({
+    intervalMs: config.initialRequestIntervalMs,
+    minIntervalMs: config.minRequestIntervalMs,
+    maxIntervalMs: config.maxRequestIntervalMs,
+    now: clock.now,
+  });
+  const throttledFetch = createThrottledFetcher({
+    fetch: createFakeFetch(clock, [{}]),
+    rateLimitState,
+    sleep: clock.sleep,
+    now: clock.now,
+  });
+  for (let i = 0; i < 50; i++) {
+    await throttledFetch("url");
+  }
+  assert.ok(rateLimitState.intervalMs < config.initialRequestIntervalMs);
+});
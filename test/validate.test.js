@@ -0,0 +1,173 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import {
+  fingerprintCounts,
+  formatValidationReport,
+  validateRelease,
+} from "../build/validate.js";
+
+// The previous release's counts: 200 packages, each with 1000 downloads more
+// than the one below it.
+const previousCounts = Object.fromEntries(
+  Array.from({ length: 200 }, (_, i) => [`package-${i}`, (200 - i) * 1000]),
+);
+
+// Validates the given counts against previousCounts, with a single
+// intermediate counts file (in a temporary directory) holding them, returning
+// whether each check passed, by name.
+function validate(t, counts, { previous = previousCounts } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "download-counts-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const workShard = {
+    id: "last-month-0",
+    countsFilesPrefix: path.join(dir, "last-month-0-counts"),
+    countsFilesSoFar: 1,
+  };
+  fs.writeFileSync(
+    `${workShard.countsFilesPrefix}0.json`,
+    JSON.stringify(counts),
+  );
+  const state = { ranges: { "last-month": { workShards: [workShard] } } };
+  const results = validateRelease({
+    fs,
+    state,
+    counts,
+    previousCounts: previous,
+  });
+  return Object.fromEntries(results.map(({ name, passed }) => [name, passed]));
+}
+
+// previousCounts, with each count passed through the given function, and
+// without the packages it gives undefined for.
+function changeCounts(change) {
+  return Object.fromEntries(
+    Object.entries(previousCounts)
+      .map(([name, count], i) => [name, change(count, i)])
+      .filter(([, count]) => count !== undefined),
+  );
+}
+
+const allPassed = (results) => Object.values(results).every((passed) => passed);
+
+test("passes counts much like the previous release's", (t) => {
+  assert.ok(allPassed(validate(t, previousCounts)));
+  assert.ok(
+    allPassed(
+      validate(
+        t,
+        changeCounts((count) => count * 1.1),
+      ),
+    ),
+  );
+});
+
+test("fails counts with too many packages missing", (t) => {
+  // (Missing from the bottom, so the top packages are all still there.)
+  assert.equal(
+    validate(
+      t,
+      changeCounts((count, i) => (i < 180 ? count : undefined)),
+    )["number of packages"],
+    true,
+  );
+  assert.equal(
+    validate(
+      t,
+      changeCounts((count, i) => (i < 179 ? count : undefined)),
+    )["number of packages"],
+    false,
+  );
+});
+
+test("fails counts whose total has changed too much", (t) => {
+  const totalPassed = (factor) =>
+    validate(
+      t,
+      changeCounts((count) => count * factor),
+    )["total downloads"];
+  assert.equal(totalPassed(0.75), true);
+  assert.equal(totalPassed(0.7), false);
+  assert.equal(totalPassed(2), true);
+  assert.equal(totalPassed(2.1), false);
+});
+
+test("fails counts where too many of the top packages have changed", (t) => {
+  // (Turning the ranking upside down keeps the same packages, but replacing
+  // a quarter of them with new ones doesn't.)
+  assert.equal(
+    validate(
+      t,
+      changeCounts((count, i) => (i + 1) * 1000),
+    )["top 1000 overlap"],
+    true,
+  );
+  const counts = changeCounts((count, i) => (i < 150 ? count : undefined));
+  for (let i = 0; i < 50; i++) {
+    counts[`new-${i}`] = 1;
+  }
+  const results = validate(t, counts);
+  assert.equal(results["top 1000 overlap"], false);
+  assert.equal(results["number of packages"], true);
+});
+
+test("fails counts where a well-known package is missing or has collapsed", (t) => {
+  const halved = changeCounts((count, i) => (i == 5 ? count / 2 : count));
+  assert.equal(validate(t, halved)["previous top 100 packages"], true);
+  const collapsed = changeCounts((count, i) => (i == 5 ? count / 3 : count));
+  assert.equal(validate(t, collapsed)["previous top 100 packages"], false);
+  const missing = changeCounts((count, i) => (i == 99 ? undefined : count));
+  assert.equal(validate(t, missing)["previous top 100 packages"], false);
+  // (Packages outside the top 100 can come and go.)
+  const notWellKnown = changeCounts((count, i) =>
+    i == 100 ? undefined : count,
+  );
+  assert.equal(validate(t, notWellKnown)["previous top 100 packages"], true);
+});
+
+test("only checks the counts files when there's no previous release", (t) => {
+  assert.deepEqual(validate(t, { a: 1 }, { previous: null }), {
+    "intermediate counts files": true,
+    "comparison with previous release": true,
+  });
+});
+
+test("fails counts that don't match the intermediate counts files", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "download-counts-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const workShard = {
+    id: "last-month-0",
+    countsFilesPrefix: path.join(dir, "last-month-0-counts"),
+    countsFilesSoFar: 2,
+  };
+  fs.writeFileSync(`${workShard.countsFilesPrefix}0.json`, '{"a":1}');
+  const state = { ranges: { "last-month": { workShards: [workShard] } } };
+  const [missing] = validateRelease({
+    fs,
+    state,
+    counts: { a: 1 },
+    previousCounts: null,
+  });
+  assert.equal(missing.passed, false);
+  assert.match(missing.details, /1 missing/);
+
+  workShard.countsFilesSoFar = 1;
+  const [mismatched] = validateRelease({
+    fs,
+    state,
+    counts: { a: 1, b: 2 },
+    previousCounts: null,
+  });
+  assert.equal(mismatched.passed, false);
+  assert.match(
+    formatValidationReport([mismatched]),
+    /^FAIL intermediate counts files: 1 packages counted in them, 2 in the release$/,
+  );
+});
+
+test("fingerprints counts by their contents", () => {
+  assert.equal(fingerprintCounts('{"a":1}'), fingerprintCounts('{"a":1}'));
+  assert.notEqual(fingerprintCounts('{"a":1}'), fingerprintCounts('{"a":2}'));
+});
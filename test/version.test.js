@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getVersion } from "../build/version.js";
+
+// (A Wednesday.)
+const today = new Date("2025-12-17T23:30:00Z");
+
+test("names monthly releases after the 1st of the month", () => {
+  assert.equal(getVersion("last-month", today), "2.20251201.0");
+  assert.equal(getVersion(undefined, today), "2.20251201.0");
+});
+
+test("names daily, weekly and yearly releases after the day, Monday and year they start", () => {
+  assert.equal(getVersion("last-day", today), "2.20251217.0");
+  assert.equal(getVersion("last-week", today), "2.20251215.0");
+  assert.equal(
+    getVersion("last-week", new Date("2025-12-15T00:00:00Z")),
+    "2.20251215.0",
+  );
+  // (A Sunday, so the Monday before is in the previous month.)
+  assert.equal(
+    getVersion("last-week", new Date("2025-11-30T12:00:00Z")),
+    "2.20251124.0",
+  );
+  assert.equal(getVersion("last-year", today), "2.20250101.0");
+});
+
+test("names a release for an explicit date range after the end of the range", () => {
+  assert.equal(getVersion("2024-01-01:2024-06-30", today), "2.20240630.0");
+});